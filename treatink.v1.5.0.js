@@ -0,0 +1,4337 @@
+/**
+ * TreatInk Personalization SDK
+ * Version: 1.5.0
+ * 
+ * Embed this script on your product pages to enable TreatInk personalization
+ * Optimized for Cloudflare Worker deployment
+ * 
+ * New in 1.4.0:
+ * - petTypes option to filter pet selection (dog-only, cat-only, or both)
+ * - Auto-add to cart after personalization saves
+ * - Auto-redirect to cart page
+ * - Artwork URL stored as line item property for cart display
+ * 
+ * New in 1.4.2:
+ * - Session cleared after add-to-cart, allowing multiple personalizations
+ * - Button always shows original text (removed "Edit Personalization" state)
+ * - Added buttonInsertTarget option for GemPages and other page builders
+ * - postMessage origin validation against allowed TreatInk domains
+ * - Loading spinner shown in modal between save completion and cart redirect
+ * - PetCustomizer resets state on each new sessionUuid (no stale session stickiness)
+ * 
+ * New in 1.5.0:
+ * - Auto-add to cart and redirect for WooCommerce (wc-ajax add_to_cart)
+ * - BigCommerce cart adapter using the Storefront Cart API
+ * - TreatInk.registerPlatform(name, adapter) for custom platform adapters;
+ *   Shopify, WooCommerce, BigCommerce and generic support are built-in adapters
+ * - TreatInk.mount(element, { productId, variantSelector }) for multiple products
+ *   per page (collection grids, quick-view drawers, bundles); productId in init is
+ *   now optional
+ * - TreatInk.on(event, handler) / off() lifecycle events, mirrored as
+ *   `treatink:<event>` CustomEvents on document; onPersonalizationClose now fires
+ * - afterAddToCart option: 'redirect' (to redirectUrl or the cart), 'drawer'
+ *   (refresh the theme cart drawer), 'none' (success state in modal) or a function
+ * - TreatInk API calls time out (requestTimeout) and retry network errors, 5xx and
+ *   429 with jittered backoff (maxRetries); POSTs send an Idempotency-Key and
+ *   failures reject with TreatInk.ApiError (code, status, attempts)
+ * - apiKey sent as X-TreatInk-Api-Key on every TreatInk API call; TreatInk.verify()
+ *   (or verifyApiKey: true) checks it, and rejected keys emit 'api-key-rejected'
+ * - In-modal error panel with Retry and contact-store fallback (contactUrl) when
+ *   session creation or add to cart fails; button shows a busy state meanwhile
+ * - Failed confirmOrder / pending-personalization posts are queued in storage,
+ *   deduplicated by order/session, and redelivered on later page loads, when back
+ *   online, and via navigator.sendBeacon on pagehide
+ * - Stored sessions expire after sessionMaxAge (default 3 days) and are pruned on
+ *   init; customized sessions are validated with TreatInk before reuse
+ * - storage option ('local', 'session', 'cookie', 'memory' or a custom adapter) with
+ *   automatic fallback when localStorage is unavailable
+ * - Personalization state syncs across open tabs (BroadcastChannel / storage events)
+ * - Versioned postMessage protocol with customizer handshake (treatink:ready ->
+ *   treatink:init -> treatink:ack), payload validation and correlation IDs;
+ *   legacy treatink_artwork_saved messages are still accepted
+ * - Customizer messages must come from the modal's own iframe and match the open
+ *   session; requireSaveNonce also checks the server-issued save nonce
+ * - customizeUrl, apiBaseUrl and trustedOrigins options plus a 'development'
+ *   (alias 'local') environment preset; production only accepts treatink.com origins
+ * - Theming through --treatink-* CSS custom properties, a theme init option,
+ *   colorScheme 'light' | 'dark' | 'auto' (prefers-color-scheme) and TreatInk.setTheme()
+ * - fonts option: 'google' (default), 'inherit', 'none' or self-hosted stylesheet URLs;
+ *   Google Fonts are only imported when requested
+ * - CSP support: cspNonce option for injected style/link elements, stylesheet option
+ *   to link the prebuilt treatink.v1.5.0.css instead, and no innerHTML anywhere
+ * - shadowDom: true renders the button and modal in shadow roots; customize them with
+ *   ::part(button), ::part(overlay), ::part(modal), ::part(header), ::part(title),
+ *   ::part(close-button), ::part(iframe), ::part(status), ::part(error), ::part(error-retry),
+ *   ::part(error-dismiss); the button also exposes ::part(personalized) / ::part(busy)
+ * - Accessible modal: dialog semantics, focus trap, Escape to close, focus returns to
+ *   the personalize button, inert background with scroll lock, and live-region
+ *   announcements for cart progress and errors. Escape pressed inside the customizer
+ *   iframe requires the customizer to send treatink:close (protocol requirement)
+ * - locale option (defaults to Shopify.locale / <html lang>) with en/fr/de/es strings,
+ *   messages overrides, RTL layout, and the locale passed to the customizer
+ * - Cart calls and the cart redirect follow the storefront root (Shopify.routes.root
+ *   for Markets subfolders) and can be overridden with the routes option
+ * - Variant resolution scoped to the mount's product form, tracking theme variant
+ *   change events, with ?variant= and product JSON fallbacks; the selected variant
+ *   is passed to the customizer
+ * - The customizer URL carries the variant, its options, quantity, price and currency
+ *   plus merchant customizerParams, all URL-encoded
+ * 
+ * Usage:
+ * <script src="https://sdk.treatink.com/treatink.v1.5.0.js"></script>
+ * <script>
+ *   TreatInk.init({
+ *     platform: 'shopify',
+ *     productId: '{{ product.id }}',
+ *     apiKey: 'your-api-key',
+ *     environment: 'production',
+ *     buttonColor: '#f476b5',    // Optional: customize button color
+ *     headerColor: '#f52b7d',    // Optional: customize modal header color
+ *     petTypes: ['dog'],         // Optional: filter pet types - ['dog'], ['cat'], or ['dog', 'cat']
+ *     afterAddToCart: 'drawer',  // Optional: 'redirect' (default), 'drawer', 'none' or function(lineItem)
+ *     theme: { radius: '4px', colorScheme: 'auto' },  // Optional: see DEFAULT_THEME for keys
+ *     locale: 'fr-ca',           // Optional: defaults to Shopify.locale / <html lang>
+ *     messages: { personalizeButton: 'Make it yours' }  // Optional: see MESSAGES for keys
+ *   });
+ * </script>
+ * 
+ * Collection grids / quick-view (one mount per product):
+ * <script>
+ *   TreatInk.init({ platform: 'shopify', apiKey: 'your-api-key' });
+ *   TreatInk.mount('#product-card-123', { productId: '123', variantId: '456' });
+ *   TreatInk.mount(quickViewEl, { productId: '789', variantSelector: 'input[name="id"]' });
+ * </script>
+ * 
+ * Lifecycle events (modal-open, session-created, session-failed, customizer-loaded,
+ * artwork-saved, cart-add-started, cart-add-succeeded, cart-add-failed, redirect,
+ * modal-closed, order-confirmed):
+ * <script>
+ *   TreatInk.on('artwork-saved', function(detail) { ... });
+ *   document.addEventListener('treatink:cart-add-succeeded', function(e) { ... e.detail ... });
+ * </script>
+ * 
+ * Custom platform (register before init):
+ * <script>
+ *   TreatInk.registerPlatform('magento', {
+ *     addToCartSelector: '#product-addtocart-button',
+ *     addToCart: function(item, sdk) { ... return a Promise ... },
+ *     getCartUrl: function() { return '/checkout/cart'; }
+ *   });
+ *   TreatInk.init({ platform: 'magento', ... });
+ * </script>
+ * 
+ * Local customizer / mock API (end-to-end tests, preview deployments):
+ * <script>
+ *   TreatInk.init({
+ *     platform: 'shopify',
+ *     environment: 'development',
+ *     customizeUrl: 'https://customizer-preview.example.app/customizer',
+ *     apiBaseUrl: 'http://localhost:4010',
+ *     trustedOrigins: ['https://customizer-preview.example.app']
+ *   });
+ * </script>
+ * 
+ * On Order Confirmation Page:
+ * <script>
+ *   TreatInk.init({...});
+ *   TreatInk.confirmOrder({
+ *     orderId: '{{ order.id }}',
+ *     customerEmail: '{{ customer.email }}',
+ *     total: {{ total_price | money_without_currency }}
+ *   });
+ * </script>
+ */
+
+(function(window, document) {
+  'use strict';
+
+  // Configuration - Supabase edge function endpoints
+  const TREATINK_CONFIG = {
+    production: {
+      baseUrl: 'https://treatink.com',
+      supabaseUrl: 'https://api.treatink.com',
+      customizeUrl: 'https://treatink.com/customizer'
+    },
+    sandbox: {
+      baseUrl: 'https://staging.treatink.com',
+      supabaseUrl: 'https://api.treatink.com',
+      customizeUrl: 'https://staging.treatink.com/customizer'
+    },
+    // Customizer dev server + local Supabase
+    development: {
+      baseUrl: 'http://localhost:3000',
+      supabaseUrl: 'http://127.0.0.1:54321',
+      customizeUrl: 'http://localhost:3000/customizer'
+    }
+  };
+  TREATINK_CONFIG.local = TREATINK_CONFIG.development;
+
+  // Default trusted origins for postMessage validation (see trustedOrigins option)
+  const TRUSTED_ORIGINS = [
+    'https://treatink.com',
+    'https://staging.treatink.com'
+  ];
+
+  // In production, customizeUrl / apiBaseUrl / trustedOrigins must be https on this domain
+  const TREATINK_DOMAIN = 'treatink.com';
+
+  /**
+   * Origin of an absolute http(s) URL, or null if it is not one
+   */
+  function getOrigin(url) {
+    try {
+      const parsed = new URL(url);
+      return /^https?:$/.test(parsed.protocol) ? parsed.origin : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether an origin is https on treatink.com or one of its subdomains
+   */
+  function isTreatInkOrigin(origin) {
+    const url = new URL(origin);
+    return url.protocol === 'https:' &&
+      (url.hostname === TREATINK_DOMAIN || url.hostname.endsWith(`.${TREATINK_DOMAIN}`));
+  }
+
+  const SDK_VERSION = '1.5.0';
+
+  // postMessage protocol between SDK and customizer (see MESSAGE_SCHEMAS).
+  // Every message is an envelope:
+  //   { source: 'treatink', protocolVersion, type, id, correlationId?, payload }
+  // Handshake: customizer sends treatink:ready, SDK answers with treatink:init
+  // (SDK version + config), customizer acknowledges with treatink:ack.
+  // Responses set correlationId to the id of the message they answer. The SDK
+  // acks treatink:artwork-saved and answers unknown types or invalid payloads
+  // with treatink:error { code: 'unknown_type' | 'invalid_payload' | 'unsupported_version' |
+  // 'session_mismatch' }.
+  // Key events inside the cross-origin iframe never reach the page, so the
+  // customizer must send treatink:close when the shopper presses Escape.
+  const PROTOCOL_SOURCE = 'treatink';
+  const PROTOCOL_VERSION = 1;
+  const SUPPORTED_PROTOCOL_VERSIONS = [1];
+  const CUSTOMIZER_REQUEST_TIMEOUT_MS = 10000;
+
+  // Customizer -> SDK message payloads. 'string?' marks optional fields.
+  const MESSAGE_SCHEMAS = {
+    'treatink:ready': { customizerVersion: 'string?' },
+    'treatink:artwork-saved': { sessionUuid: 'string', artworkUrl: 'string', saveNonce: 'string?' },
+    'treatink:close': {},
+    'treatink:ack': {},
+    'treatink:error': { code: 'string', message: 'string?' }
+  };
+
+  /**
+   * Check a payload against a MESSAGE_SCHEMAS entry; returns a problem description or null
+   */
+  function validatePayload(schema, payload) {
+    if (payload !== undefined && (payload === null || typeof payload !== 'object')) {
+      return 'payload must be an object';
+    }
+
+    const fields = Object.keys(schema);
+    for (let i = 0; i < fields.length; i++) {
+      const field = fields[i];
+      const optional = schema[field].slice(-1) === '?';
+      const type = optional ? schema[field].slice(0, -1) : schema[field];
+      const value = payload ? payload[field] : undefined;
+
+      if (value === undefined || value === null) {
+        if (!optional) return `missing ${field}`;
+      } else if (typeof value !== type) {
+        return `${field} must be a ${type}`;
+      }
+    }
+    return null;
+  }
+
+  // Shopper-facing strings by language; regional locales (fr-ca) fall back to
+  // their language (fr), then English. Override per store with the messages option.
+  const MESSAGES = {
+    en: {
+      personalizeButton: 'Personalize This Product',
+      personalizedPrefix: '\u2713',
+      modalTitle: 'Personalize Your Product',
+      closeLabel: 'Close personalization',
+      iframeTitle: 'Product personalizer',
+      loading: 'Loading\u2026',
+      addingToCart: 'Adding to cart\u2026',
+      addedToCart: 'Added to cart',
+      errorTitle: 'Something went wrong',
+      sessionErrorTitle: 'We couldn\u2019t start personalization',
+      sessionErrorMessage: 'Something went wrong while preparing the personalizer. Please try again.',
+      cartErrorTitle: 'We couldn\u2019t add this to your cart',
+      cartErrorMessage: 'Your personalization is saved. Please try again, or close this window and use the add to cart button.',
+      cartUpdateErrorTitle: 'Your personalization isn\u2019t fully linked to your order yet',
+      cartUpdateErrorMessage: 'The product is in your cart, but we couldn\u2019t finish linking your personalization to your order. Please try again.',
+      variantUnavailableMessage: 'This option combination isn\u2019t available. Your personalization is saved \u2014 close this window, choose another option and add it to your cart.',
+      saveErrorMessage: 'Your browser couldn\u2019t store your personalization. Please allow cookies or site storage for this store and try again.',
+      retry: 'Try again',
+      close: 'Close',
+      contactPrompt: 'Still having trouble?',
+      contactLink: 'Contact the store',
+      contactFallback: 'If the problem continues, please contact the store.'
+    },
+    fr: {
+      personalizeButton: 'Personnaliser ce produit',
+      modalTitle: 'Personnalisez votre produit',
+      closeLabel: 'Fermer la personnalisation',
+      iframeTitle: 'Outil de personnalisation',
+      loading: 'Chargement\u2026',
+      addingToCart: 'Ajout au panier\u2026',
+      addedToCart: 'Ajout\u00e9 au panier',
+      errorTitle: 'Une erreur est survenue',
+      sessionErrorTitle: 'Impossible de lancer la personnalisation',
+      sessionErrorMessage: 'Une erreur est survenue lors de la pr\u00e9paration de l\u2019outil de personnalisation. Veuillez r\u00e9essayer.',
+      cartErrorTitle: 'Impossible d\u2019ajouter ce produit au panier',
+      cartErrorMessage: 'Votre personnalisation est enregistr\u00e9e. Veuillez r\u00e9essayer, ou fermez cette fen\u00eatre et utilisez le bouton Ajouter au panier.',
+      cartUpdateErrorTitle: 'Votre personnalisation n\u2019est pas encore enti\u00e8rement li\u00e9e \u00e0 votre commande',
+      cartUpdateErrorMessage: 'Le produit est dans votre panier, mais nous n\u2019avons pas pu terminer l\u2019association de votre personnalisation \u00e0 votre commande. Veuillez r\u00e9essayer.',
+      variantUnavailableMessage: 'Cette combinaison d\u2019options n\u2019est pas disponible. Votre personnalisation est enregistr\u00e9e \u2014 fermez cette fen\u00eatre, choisissez une autre option et ajoutez-la au panier.',
+      saveErrorMessage: 'Votre navigateur n\u2019a pas pu enregistrer votre personnalisation. Veuillez autoriser les cookies ou le stockage du site pour cette boutique, puis r\u00e9essayer.',
+      retry: 'R\u00e9essayer',
+      close: 'Fermer',
+      contactPrompt: 'Le probl\u00e8me persiste\u00a0?',
+      contactLink: 'Contacter la boutique',
+      contactFallback: 'Si le probl\u00e8me persiste, veuillez contacter la boutique.'
+    },
+    de: {
+      personalizeButton: 'Dieses Produkt personalisieren',
+      modalTitle: 'Personalisiere dein Produkt',
+      closeLabel: 'Personalisierung schlie\u00dfen',
+      iframeTitle: 'Produkt-Personalisierung',
+      loading: 'Wird geladen\u2026',
+      addingToCart: 'Wird in den Warenkorb gelegt\u2026',
+      addedToCart: 'In den Warenkorb gelegt',
+      errorTitle: 'Etwas ist schiefgelaufen',
+      sessionErrorTitle: 'Die Personalisierung konnte nicht gestartet werden',
+      sessionErrorMessage: 'Beim Vorbereiten der Personalisierung ist ein Fehler aufgetreten. Bitte versuche es erneut.',
+      cartErrorTitle: 'Das Produkt konnte nicht in den Warenkorb gelegt werden',
+      cartErrorMessage: 'Deine Personalisierung ist gespeichert. Bitte versuche es erneut oder schlie\u00dfe dieses Fenster und nutze den Warenkorb-Button.',
+      cartUpdateErrorTitle: 'Deine Personalisierung ist noch nicht vollst\u00e4ndig mit deiner Bestellung verkn\u00fcpft',
+      cartUpdateErrorMessage: 'Das Produkt liegt in deinem Warenkorb, aber wir konnten deine Personalisierung nicht vollst\u00e4ndig mit deiner Bestellung verkn\u00fcpfen. Bitte versuche es erneut.',
+      variantUnavailableMessage: 'Diese Optionskombination ist nicht verf\u00fcgbar. Deine Personalisierung ist gespeichert \u2014 schlie\u00dfe dieses Fenster, w\u00e4hle eine andere Option und lege sie in den Warenkorb.',
+      saveErrorMessage: 'Dein Browser konnte deine Personalisierung nicht speichern. Bitte erlaube Cookies oder Website-Speicher f\u00fcr diesen Shop und versuche es erneut.',
+      retry: 'Erneut versuchen',
+      close: 'Schlie\u00dfen',
+      contactPrompt: 'Weiterhin Probleme?',
+      contactLink: 'Shop kontaktieren',
+      contactFallback: 'Wenn das Problem weiterhin besteht, kontaktiere bitte den Shop.'
+    },
+    es: {
+      personalizeButton: 'Personalizar este producto',
+      modalTitle: 'Personaliza tu producto',
+      closeLabel: 'Cerrar personalizaci\u00f3n',
+      iframeTitle: 'Personalizador de productos',
+      loading: 'Cargando\u2026',
+      addingToCart: 'A\u00f1adiendo al carrito\u2026',
+      addedToCart: 'A\u00f1adido al carrito',
+      errorTitle: 'Algo sali\u00f3 mal',
+      sessionErrorTitle: 'No pudimos iniciar la personalizaci\u00f3n',
+      sessionErrorMessage: 'Algo sali\u00f3 mal al preparar el personalizador. Int\u00e9ntalo de nuevo.',
+      cartErrorTitle: 'No pudimos a\u00f1adir este producto a tu carrito',
+      cartErrorMessage: 'Tu personalizaci\u00f3n est\u00e1 guardada. Int\u00e9ntalo de nuevo, o cierra esta ventana y usa el bot\u00f3n de a\u00f1adir al carrito.',
+      cartUpdateErrorTitle: 'Tu personalizaci\u00f3n a\u00fan no est\u00e1 completamente vinculada a tu pedido',
+      cartUpdateErrorMessage: 'El producto est\u00e1 en tu carrito, pero no pudimos terminar de vincular tu personalizaci\u00f3n a tu pedido. Int\u00e9ntalo de nuevo.',
+      variantUnavailableMessage: 'Esta combinaci\u00f3n de opciones no est\u00e1 disponible. Tu personalizaci\u00f3n est\u00e1 guardada \u2014 cierra esta ventana, elige otra opci\u00f3n y a\u00f1\u00e1dela al carrito.',
+      saveErrorMessage: 'Tu navegador no pudo guardar tu personalizaci\u00f3n. Permite las cookies o el almacenamiento del sitio para esta tienda e int\u00e9ntalo de nuevo.',
+      retry: 'Reintentar',
+      close: 'Cerrar',
+      contactPrompt: '\u00bfSigues teniendo problemas?',
+      contactLink: 'Contacta con la tienda',
+      contactFallback: 'Si el problema contin\u00faa, contacta con la tienda.'
+    }
+  };
+
+  // Languages laid out right-to-left
+  const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+  // Default colors
+  const DEFAULT_BUTTON_COLOR = '#EA8000';
+  const DEFAULT_HEADER_COLOR = '#EA8000';
+
+  // Theme keys and defaults. Each key is a --treatink-* custom property
+  // (buttonBg -> --treatink-button-bg) that stores can also set from their own CSS.
+  const DEFAULT_THEME = {
+    buttonBg: DEFAULT_BUTTON_COLOR,
+    buttonHoverBg: '#d27300',
+    buttonText: '#FFFDFB',
+    buttonShadow: 'rgba(234, 128, 0, 0.25)',
+    headerBg: DEFAULT_HEADER_COLOR,
+    headerBgEnd: '#d27300',
+    headerText: '#FFFDFB',
+    successBg: '#8BEA06',
+    successHoverBg: '#7ACC05',
+    successShadow: 'rgba(139, 234, 6, 0.25)',
+    successText: '#0D1221',
+    surface: '#FFFDFB',
+    text: '#0D1221',
+    textMuted: 'rgba(13, 18, 33, 0.7)',
+    border: 'rgba(13, 18, 33, 0.2)',
+    overlay: 'rgba(13, 18, 33, 0.9)',
+    spinner: 'var(--treatink-button-bg)',
+    spinnerTrack: 'rgba(0, 0, 0, 0.1)',
+    errorIconBg: 'var(--treatink-header-bg)',
+    focusRing: '#1A73E8',
+    radius: '8px',
+    modalRadius: '16px',
+    fontFamily: "'Montserrat', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+    headingFontFamily: "'Mitr', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif"
+  };
+
+  // Overrides applied for colorScheme 'dark', or 'auto' when the OS prefers dark
+  const DARK_THEME = {
+    surface: '#161B2A',
+    text: '#F5F1EC',
+    textMuted: 'rgba(245, 241, 236, 0.7)',
+    border: 'rgba(245, 241, 236, 0.25)',
+    overlay: 'rgba(0, 0, 0, 0.85)',
+    spinnerTrack: 'rgba(255, 255, 255, 0.15)'
+  };
+
+  const COLOR_SCHEMES = ['light', 'dark', 'auto'];
+
+  // Prebuilt stylesheet for this version (stylesheet: true)
+  const STYLESHEET_URL = `https://sdk.treatink.com/treatink.v${SDK_VERSION}.css`;
+
+  // Default web fonts (fonts: 'google')
+  const GOOGLE_FONTS_URL = 'https://fonts.googleapis.com/css2?family=Montserrat:wght@400;500;600;700&family=Mitr:wght@400;600;700&display=swap';
+
+  /**
+   * Custom property name for a theme key (buttonBg -> --treatink-button-bg)
+   */
+  function themeProperty(key) {
+    return '--treatink-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+  }
+
+  /**
+   * Add or remove a ::part() name so shadowDom styling can follow button state
+   */
+  function togglePart(element, name, force) {
+    const parts = (element.getAttribute('part') || '').split(/\s+/).filter(part => part && part !== name);
+    if (force) parts.push(name);
+    element.setAttribute('part', parts.join(' '));
+  }
+
+  /**
+   * CSS declarations for a theme object
+   */
+  function themeDeclarations(theme) {
+    return Object.keys(theme).map(key => `${themeProperty(key)}: ${theme[key]};`).join('\n          ');
+  }
+
+  // How long the 'none' post-add success state stays visible before the modal closes
+  const SUCCESS_DISPLAY_MS = 1500;
+
+  // Events commonly used by themes and side-cart plugins to refresh/open a cart drawer
+  const CART_REFRESH_EVENTS = ['cart:refresh', 'cart:build', 'cart:open', 'cart-drawer:open', 'ajaxProduct:added', 'product:added'];
+
+  // Variant change events fired by common themes; the variant ID is read from
+  // detail.variant.id, detail.variantId or detail.resource.id
+  const VARIANT_CHANGE_EVENTS = ['variant:change', 'variant:changed', 'variantChange', 'variant:update'];
+
+  const STORAGE_KEY = 'treatink_personalizations';
+
+  // BroadcastChannel used to tell other tabs that sessions changed
+  const SYNC_CHANNEL_NAME = 'treatink_sync';
+
+  // Sessions untouched for longer than this are discarded (sessionMaxAge option)
+  const SESSION_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+  // Failed order/pending-personalization POSTs awaiting redelivery
+  const QUEUE_STORAGE_KEY = 'treatink_request_queue';
+  const QUEUE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+  // Browsers silently drop cookies over ~4 KB; the cookie adapter refuses larger values
+  const COOKIE_MAX_BYTES = 4000;
+
+  // Lifecycle events for TreatInk.on/off, also dispatched on document as `treatink:<name>`
+  const EVENTS = [
+    'modal-open',
+    'session-created',
+    'session-failed',
+    'customizer-loaded',
+    'artwork-saved',
+    'cart-add-started',
+    'cart-add-succeeded',
+    'cart-add-failed',
+    'redirect',
+    'modal-closed',
+    'order-confirmed',
+    'api-key-rejected'
+  ];
+
+  // Platform adapters by name, populated via TreatInk.registerPlatform
+  const platformAdapters = {};
+  const MODAL_ID = 'treatink-personalization-modal';
+
+  // TreatInk API request defaults - see _apiRequest
+  const REQUEST_TIMEOUT_MS = 10000;
+  const MAX_RETRIES = 3;
+  const RETRY_BASE_DELAY_MS = 500;
+  const RETRY_MAX_DELAY_MS = 10000;
+
+  /**
+   * Error thrown by _apiRequest.
+   * code: 'timeout' | 'network' | 'http'; status is set for 'http' errors.
+   */
+  class TreatInkApiError extends Error {
+    constructor(message, details) {
+      super(message);
+      this.name = 'TreatInkApiError';
+      this.code = details.code;
+      this.status = details.status || null;
+      this.endpoint = details.endpoint;
+      this.data = details.data || null;
+      this.retryable = !!details.retryable;
+      this.retryAfter = details.retryAfter || null;
+      this.attempts = 0;
+    }
+  }
+
+  /**
+   * Main TreatInk SDK Object
+   */
+  const TreatInk = {
+    config: null,
+    initialized: false,
+    hostname: null,
+    environment: 'production',
+    // Products with a personalize button on this page (see mount)
+    mounts: [],
+    _mountCounter: 0,
+    _activeMount: null,
+    _ready: false,
+    _eventHandlers: {},
+    _flushingQueue: false,
+    // Queue key -> time it was beaconed on pagehide during this page's lifetime
+    _beaconedAt: {},
+    // Storage adapter chosen at init (see _resolveStorage)
+    _storage: null,
+    _syncChannel: null,
+    // sessionUuid of the session the modal was opened for
+    _activeSessionUuid: null,
+    // Server-issued nonce for that session's save message (requireSaveNonce)
+    _activeSaveNonce: null,
+    _pendingCustomizerRequests: {},
+    // Stored session UUID -> promise of its _validateStoredSession result while in flight
+    _pendingValidations: {},
+    // Shadow root holding the modal (shadowDom mode)
+    _modalRoot: null,
+    // Dialog state while the modal is open: element to refocus, inert siblings, scroll styles
+    _returnFocus: null,
+    _inertElements: null,
+    _scrollLock: null,
+
+    /**
+     * Initialize the SDK
+     */
+    init: function(options) {
+      if (this.initialized) {
+        console.warn('[TreatInk SDK] Already initialized');
+        return;
+      }
+
+      // Validate required options
+      if (!options.platform) {
+        console.error('[TreatInk SDK] ERROR: platform is required');
+        return false;
+      }
+
+      if (!options.apiKey) {
+        console.warn('[TreatInk SDK] WARNING: apiKey not provided. API calls will fail.');
+      }
+
+      // Detect hostname automatically
+      this.hostname = window.location.hostname;
+      this.environment = options.environment || 'production';
+      
+      console.log(`[TreatInk SDK] Initializing for ${this.environment} environment`);
+      console.log(`[TreatInk SDK] Detected hostname: ${this.hostname}`);
+
+      const endpoints = this._resolveEndpoints(options);
+      if (!endpoints) return false;
+
+      // Shopper-facing language: locale option, then the storefront's locale
+      this.locale = this._resolveLocale(options.locale);
+      this._messages = this._resolveMessages(this.locale, options.messages);
+
+      this.config = {
+        platform: options.platform.toLowerCase(),
+        // Optional on pages that only use TreatInk.mount()
+        productId: options.productId ? String(options.productId) : null,
+        apiKey: options.apiKey || null,
+        environment: this.environment,
+        // Language for shopper-facing strings and the customizer, e.g. 'fr' or 'fr-ca'
+        locale: this.locale,
+        // Text direction derived from the locale
+        dir: RTL_LANGUAGES.includes(this.locale.split('-')[0]) ? 'rtl' : 'ltr',
+        // Customizer page, API base URL and origins allowed to postMessage the SDK
+        customizeUrl: endpoints.customizeUrl,
+        apiBaseUrl: endpoints.apiBaseUrl,
+        trustedOrigins: endpoints.trustedOrigins,
+        customizeButtonText: options.customizeButtonText || this._t('personalizeButton'),
+        customizeButtonClass: options.customizeButtonClass || 'treatink-personalize-btn',
+        personalizeButtonInsertBefore: options.personalizeButtonInsertBefore || null,
+        buttonInsertTarget: options.buttonInsertTarget || null,
+        addToCartSelector: options.addToCartSelector || this._getDefaultAddToCartSelector(options.platform),
+        onPersonalizationComplete: options.onPersonalizationComplete || null,
+        onPersonalizationClose: options.onPersonalizationClose || null,
+        debug: options.debug || false,
+        // Color customization options (shorthands for theme.buttonBg / theme.headerBg)
+        buttonColor: options.buttonColor || DEFAULT_BUTTON_COLOR,
+        headerColor: options.headerColor || DEFAULT_HEADER_COLOR,
+        // Theme overrides, see DEFAULT_THEME for keys; colorScheme: 'light', 'dark' or 'auto'
+        theme: {},
+        // Font stylesheets to import: 'google' (default), 'inherit' (host theme font),
+        // 'none', or a URL / list of URLs of self-hosted @font-face stylesheets
+        fonts: this._resolveFonts(options.fonts),
+        // Pet type filtering - array of allowed types: ['dog'], ['cat'], or ['dog', 'cat']
+        petTypes: options.petTypes || ['dog', 'cat'],
+        // Post-add behavior: 'redirect', 'drawer', 'none' or function(lineItem, detail)
+        afterAddToCart: options.afterAddToCart || 'redirect',
+        // Redirect target for 'redirect' (defaults to the platform cart page), e.g. '/checkout'
+        redirectUrl: options.redirectUrl || null,
+        // Storefront route overrides: root (e.g. '/fr-ca/') and per-route URLs such as
+        // cart, cartAdd, cartUpdate, cartJs, sections (Shopify) or cartApi (BigCommerce)
+        routes: Object.assign({}, options.routes),
+        // Extra customizer URL parameters: object, or function(context, mount) returning one
+        customizerParams: options.customizerParams || null,
+        // BigCommerce text modifier option IDs that receive the UUID and artwork URL
+        bigcommerceUuidOptionId: options.bigcommerceUuidOptionId || null,
+        bigcommerceArtworkOptionId: options.bigcommerceArtworkOptionId || null,
+        // TreatInk API request timeout (ms) and retry count for network/5xx/429 failures
+        requestTimeout: options.requestTimeout || REQUEST_TIMEOUT_MS,
+        maxRetries: options.maxRetries != null ? options.maxRetries : MAX_RETRIES,
+        // Check the apiKey against TreatInk at init (see verify)
+        verifyApiKey: options.verifyApiKey || false,
+        // Link offered in the modal error panel, e.g. '/pages/contact' or 'mailto:help@store.com'
+        contactUrl: options.contactUrl || null,
+        // Stored sessions expire after sessionMaxAge ms since their last update
+        sessionMaxAge: options.sessionMaxAge || SESSION_MAX_AGE_MS,
+        // Check stored customized sessions with TreatInk before reusing them
+        validateSessions: options.validateSessions !== false,
+        // Only add to cart when the save message carries the nonce issued with the session
+        requireSaveNonce: options.requireSaveNonce || false,
+        // Nonce for the injected <style>/<link> elements under a style-src 'nonce-...' CSP
+        cspNonce: options.cspNonce || null,
+        // Link the prebuilt stylesheet instead of injecting a <style> element:
+        // true for the hosted copy matching this version, or a self-hosted URL
+        stylesheet: options.stylesheet === true ? STYLESHEET_URL : (options.stylesheet || null),
+        // Render the button and modal inside shadow roots (styled via ::part())
+        shadowDom: !!options.shadowDom && typeof document.documentElement.attachShadow === 'function'
+      };
+
+      // Session/queue storage: 'local', 'session', 'cookie', 'memory' or a custom
+      // { getItem, setItem, removeItem } adapter; falls back down that list
+      this._storage = this._resolveStorage(options.storage);
+
+      this.initialized = true;
+
+      const theme = {};
+      if (options.fonts === 'inherit') {
+        theme.fontFamily = 'inherit';
+        theme.headingFontFamily = 'inherit';
+      }
+      if (options.buttonColor) theme.buttonBg = options.buttonColor;
+      if (options.headerColor) theme.headerBg = options.headerColor;
+      this.setTheme(Object.assign(theme, options.theme));
+
+      this._pruneExpiredSessions();
+      this._setupCrossTabSync();
+      this._setupRequestQueue();
+
+      if (this.config.apiKey && this.config.verifyApiKey) {
+        this.verify().catch(error => {
+          this._log('API key verification unavailable:', error.message);
+        });
+      }
+
+      // Single-product pages mount the init product against the whole document
+      if (this.config.productId) {
+        this._createMount(null, { productId: this.config.productId });
+      }
+
+      // Wait for DOM to be ready
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => this._setup());
+      } else {
+        this._setup();
+      }
+
+      return true;
+    },
+
+    /**
+     * Setup the personalization button and modal
+     */
+    _setup: function() {
+      this._injectStyles();
+      this._createModal();
+      this._setupEventListeners();
+      this._ready = true;
+
+      // Mounts created before the DOM was ready
+      this.mounts.forEach(mount => this._setupMount(mount));
+
+      // Handle back-forward cache (bfcache) - recheck session when page is restored
+      const self = this;
+      window.addEventListener('pageshow', function(event) {
+        if (event.persisted) {
+          self._log('Page restored from bfcache, rechecking session');
+          self._refreshButtonStates();
+        }
+      });
+
+      this._log('SDK setup complete');
+    },
+
+    /**
+     * Mount personalization for a product inside a container element, e.g. a
+     * collection grid card, quick-view drawer or bundle item. Each mount gets
+     * its own button, session and add-to-cart binding.
+     *
+     * options:
+     *   productId (required)
+     *   variantSelector    - selector (within element) for the variant input
+     *   variantId          - fixed variant ID, e.g. a grid card's first variant
+     *   addToCartSelector  - selector (within element) for the add-to-cart button
+     *   buttonInsertTarget - selector (within element) to append the button to
+     *   customizerParams   - extra customizer URL parameters (object or function)
+     */
+    mount: function(element, options) {
+      if (!this.initialized) {
+        console.error('[TreatInk SDK] ERROR: call TreatInk.init before mount');
+        return null;
+      }
+
+      options = options || {};
+      if (!element || !options.productId) {
+        console.error('[TreatInk SDK] ERROR: mount requires an element and productId');
+        return null;
+      }
+
+      const existing = this.mounts.find(m => m.element === element);
+      if (existing) {
+        this._log('Element already mounted for product:', existing.productId);
+        return existing;
+      }
+
+      const mount = this._createMount(element, options);
+      if (this._ready) {
+        this._setupMount(mount);
+      }
+      return mount;
+    },
+
+    /**
+     * Remove a mounted product's button and add-to-cart listeners
+     * (e.g. when a quick-view drawer is destroyed)
+     */
+    unmount: function(elementOrMount) {
+      const mount = this.mounts.find(m => m === elementOrMount || m.element === elementOrMount);
+      if (!mount) return false;
+
+      if (mount.button) (mount.buttonHost || mount.button).remove();
+      mount.listeners.forEach(l => l[0].removeEventListener(l[1], l[2]));
+      this.mounts.splice(this.mounts.indexOf(mount), 1);
+
+      this._log('Product unmounted:', mount.productId);
+      return true;
+    },
+
+    /**
+     * Subscribe to a lifecycle event (see EVENTS). Handlers receive a detail object.
+     */
+    on: function(event, handler) {
+      if (EVENTS.indexOf(event) === -1) {
+        console.warn(`[TreatInk SDK] WARNING: unknown event "${event}"`);
+      }
+      if (typeof handler !== 'function') return this;
+
+      (this._eventHandlers[event] = this._eventHandlers[event] || []).push(handler);
+      return this;
+    },
+
+    /**
+     * Unsubscribe a handler, or every handler for the event if none is given
+     */
+    off: function(event, handler) {
+      const handlers = this._eventHandlers[event];
+      if (!handlers) return this;
+
+      if (handler) {
+        this._eventHandlers[event] = handlers.filter(h => h !== handler);
+      } else {
+        delete this._eventHandlers[event];
+      }
+      return this;
+    },
+
+    /**
+     * Check the configured apiKey with TreatInk. Resolves with
+     * { valid, reason, hostname } - reason is e.g. 'invalid', 'revoked' or
+     * 'hostname_mismatch' when valid is false. Rejects with TreatInk.ApiError
+     * when the API cannot be reached.
+     */
+    verify: async function() {
+      if (!this.initialized) {
+        console.error('[TreatInk SDK] ERROR: call TreatInk.init before verify');
+        return { valid: false, reason: 'not_initialized', hostname: window.location.hostname };
+      }
+
+      if (!this.config.apiKey) {
+        return { valid: false, reason: 'missing', hostname: this.hostname };
+      }
+
+      try {
+        const result = await this._apiRequest('/functions/v1/verify-api-key', {
+          method: 'POST',
+          body: {
+            platform: this.config.platform,
+            hostname: this.hostname
+          }
+        });
+
+        this._log('API key verified for', this.hostname);
+        return { valid: true, reason: null, hostname: this.hostname, details: result };
+      } catch (error) {
+        // 401/403 were already reported via 'api-key-rejected' in _apiRequest
+        if (error.status === 401 || error.status === 403) {
+          const reason = (error.data && (error.data.reason || error.data.code)) || 'invalid';
+          return { valid: false, reason: reason, hostname: this.hostname, error: error.message };
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Register a product mount; element is null for the init product
+     */
+    _createMount: function(element, options) {
+      const mount = {
+        id: `treatink-mount-${++this._mountCounter}`,
+        element: element,
+        root: null,
+        productId: String(options.productId),
+        variantSelector: options.variantSelector || null,
+        variantId: options.variantId ? String(options.variantId) : null,
+        addToCartSelector: options.addToCartSelector || this.config.addToCartSelector,
+        buttonInsertTarget: options.buttonInsertTarget || (element ? null : this.config.buttonInsertTarget),
+        // Last variant announced by a theme variant change event (ID and the variant object)
+        selectedVariantId: null,
+        selectedVariant: null,
+        // True when the last variant change event announced variant: null (unavailable combination)
+        variantUnavailable: false,
+        // Product context resolved when the modal was last opened (sent to the customizer)
+        customizerContext: null,
+        // Extra customizer URL parameters for this product (see _getCustomizerParams)
+        customizerParams: options.customizerParams || null,
+        button: null,
+        // Shadow root host wrapping the button (shadowDom mode)
+        buttonHost: null,
+        addToCartButton: null,
+        form: null,
+        listeners: []
+      };
+
+      this.mounts.push(mount);
+      return mount;
+    },
+
+    /**
+     * Resolve a mount's container, then inject its button and bind add to cart
+     */
+    _setupMount: function(mount) {
+      if (mount.root) return;
+
+      if (!mount.element) {
+        mount.root = document;
+      } else if (typeof mount.element === 'string') {
+        mount.root = document.querySelector(mount.element);
+      } else {
+        mount.root = mount.element;
+      }
+
+      if (!mount.root) {
+        this._log('Mount element not found:', mount.element);
+        return;
+      }
+
+      this._injectPersonalizeButton(mount);
+      this._interceptAddToCart(mount);
+      this._trackVariantChanges(mount);
+
+      // Check for existing personalization
+      const existingSession = this._getPersonalizationSession(mount.productId);
+      if (existingSession && existingSession.customized) {
+        this._updateButtonState(true, mount.productId);
+        this._validateStoredSession(existingSession);
+      }
+
+      this._log('Product mounted:', mount.productId);
+    },
+
+    /**
+     * Find a mount by the id stamped on its personalize button
+     */
+    _getMountById: function(id) {
+      return this.mounts.find(m => m.id === id) || null;
+    },
+
+    /**
+     * Resolve customizer/API URLs and trusted origins from the environment preset
+     * and the customizeUrl / apiBaseUrl / trustedOrigins overrides. Production only
+     * accepts https treatink.com origins. Returns null (and logs) when invalid.
+     */
+    _resolveEndpoints: function(options) {
+      const preset = TREATINK_CONFIG[this.environment];
+      if (!preset) {
+        console.error(`[TreatInk SDK] ERROR: unknown environment "${this.environment}". Use one of: ${Object.keys(TREATINK_CONFIG).join(', ')}`);
+        return null;
+      }
+
+      const customizeUrl = options.customizeUrl || preset.customizeUrl;
+      const apiBaseUrl = (options.apiBaseUrl || preset.supabaseUrl).replace(/\/+$/, '');
+      const trustedOrigins = [];
+      const checks = [['customizeUrl', customizeUrl], ['apiBaseUrl', apiBaseUrl]]
+        .concat((options.trustedOrigins || TRUSTED_ORIGINS).map(origin => ['trustedOrigins', origin]));
+
+      for (const [name, url] of checks) {
+        const origin = getOrigin(url);
+        if (!origin) {
+          console.error(`[TreatInk SDK] ERROR: ${name} must be an absolute http(s) URL, got "${url}"`);
+          return null;
+        }
+        if (this.environment === 'production' && !isTreatInkOrigin(origin)) {
+          console.error(`[TreatInk SDK] ERROR: ${name} ${origin} is not a TreatInk origin. Custom endpoints are only allowed outside the production environment`);
+          return null;
+        }
+        if (name === 'trustedOrigins') trustedOrigins.push(origin);
+      }
+
+      // The customizer has to be able to message us from wherever it is served
+      const customizerOrigin = getOrigin(customizeUrl);
+      if (!trustedOrigins.includes(customizerOrigin)) {
+        trustedOrigins.push(customizerOrigin);
+      }
+
+      return { customizeUrl, apiBaseUrl, trustedOrigins };
+    },
+
+    /**
+     * Normalized locale (lowercase, hyphenated): locale option, Shopify.locale,
+     * <html lang>, then 'en'
+     */
+    _resolveLocale: function(locale) {
+      locale = locale ||
+               (window.Shopify && window.Shopify.locale) ||
+               document.documentElement.lang ||
+               'en';
+      return String(locale).trim().toLowerCase().replace(/_/g, '-');
+    },
+
+    /**
+     * Message catalog for a locale: English, then the language, then the exact
+     * locale, then store overrides
+     */
+    _resolveMessages: function(locale, overrides) {
+      const language = locale.split('-')[0];
+      return Object.assign({}, MESSAGES.en, MESSAGES[language], MESSAGES[locale], overrides);
+    },
+
+    /**
+     * Look up a shopper-facing string
+     */
+    _t: function(key) {
+      return (this._messages && this._messages[key]) || MESSAGES.en[key];
+    },
+
+    /**
+     * Get default add to cart selector based on platform
+     */
+    _getDefaultAddToCartSelector: function(platform) {
+      return this._getPlatformAdapter(platform).addToCartSelector;
+    },
+
+    /**
+     * Calculate a darker shade of a hex color for hover states
+     */
+    _darkenColor: function(hex, percent) {
+      hex = hex.replace('#', '');
+
+      // Expand 3-digit shorthand to 6-digit
+      if (hex.length === 3) {
+        hex = hex[0]+hex[0]+hex[1]+hex[1]+hex[2]+hex[2];
+      }
+      
+      let r = parseInt(hex.substring(0, 2), 16);
+      let g = parseInt(hex.substring(2, 4), 16);
+      let b = parseInt(hex.substring(4, 6), 16);
+      
+      r = Math.max(0, Math.floor(r * (1 - percent / 100)));
+      g = Math.max(0, Math.floor(g * (1 - percent / 100)));
+      b = Math.max(0, Math.floor(b * (1 - percent / 100)));
+      
+      return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Convert hex to rgba for box shadows
+     */
+    _hexToRgba: function(hex, alpha) {
+      hex = hex.replace('#', '');
+
+      // Expand 3-digit shorthand to 6-digit
+      if (hex.length === 3) {
+        hex = hex[0]+hex[0]+hex[1]+hex[1]+hex[2]+hex[2];
+      }
+
+      const r = parseInt(hex.substring(0, 2), 16);
+      const g = parseInt(hex.substring(2, 4), 16);
+      const b = parseInt(hex.substring(4, 6), 16);
+      return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    },
+
+    /**
+     * Stylesheet URLs to import for the fonts option
+     */
+    _resolveFonts: function(fonts) {
+      if (fonts === undefined || fonts === 'google') return [GOOGLE_FONTS_URL];
+      if (fonts === 'inherit' || fonts === 'none' || fonts === false) return [];
+
+      return (Array.isArray(fonts) ? fonts : [fonts]).filter(url => {
+        if (typeof url === 'string' && /^(https?:\/\/|\/)/.test(url)) return true;
+        console.warn('[TreatInk SDK] Ignoring invalid fonts entry:', url);
+        return false;
+      });
+    },
+
+    /**
+     * Update the theme at runtime. Takes the same keys as the theme init option;
+     * values are set as --treatink-* properties on <html>, null restores the default.
+     * Hover/shadow/gradient shades are derived from hex buttonBg/headerBg unless given.
+     */
+    setTheme: function(theme) {
+      theme = Object.assign({}, theme);
+      const root = document.documentElement;
+
+      if (theme.colorScheme !== undefined) {
+        if (theme.colorScheme && !COLOR_SCHEMES.includes(theme.colorScheme)) {
+          console.warn(`[TreatInk SDK] Unknown colorScheme "${theme.colorScheme}". Use one of: ${COLOR_SCHEMES.join(', ')}`);
+        } else if (theme.colorScheme) {
+          root.setAttribute('data-treatink-color-scheme', theme.colorScheme);
+        } else {
+          root.removeAttribute('data-treatink-color-scheme');
+        }
+      }
+
+      // Derived shades follow their base color, including a reset to the default
+      const isHex = value => /^#([0-9a-f]{3}){1,2}$/i.test(value || '');
+      if (isHex(theme.buttonBg) || theme.buttonBg === null) {
+        if (theme.buttonHoverBg === undefined) theme.buttonHoverBg = theme.buttonBg && this._darkenColor(theme.buttonBg, 10);
+        if (theme.buttonShadow === undefined) theme.buttonShadow = theme.buttonBg && this._hexToRgba(theme.buttonBg, 0.25);
+      }
+      if ((isHex(theme.headerBg) || theme.headerBg === null) && theme.headerBgEnd === undefined) {
+        theme.headerBgEnd = theme.headerBg && this._darkenColor(theme.headerBg, 10);
+      }
+
+      Object.keys(theme).forEach(key => {
+        if (key === 'colorScheme') return;
+        if (!(key in DEFAULT_THEME)) {
+          console.warn(`[TreatInk SDK] Unknown theme key "${key}"`);
+          return;
+        }
+        if (theme[key] == null) {
+          root.style.removeProperty(themeProperty(key));
+        } else {
+          root.style.setProperty(themeProperty(key), String(theme[key]));
+        }
+      });
+
+      if (this.config) {
+        this.config.theme = Object.assign({}, this.config.theme, theme);
+      }
+      this._log('Theme updated:', theme);
+    },
+
+    /**
+     * Inject CSS styles (colors, fonts and radii come from --treatink-* properties).
+     * Theme defaults have zero specificity so store CSS on :root always wins;
+     * init/setTheme values are set inline on <html> (see setTheme).
+     */
+    _injectStyles: function() {
+      this.config.fonts.forEach(url => this._appendStylesheet(url));
+
+      // Prebuilt copy of _buildStyles() served next to the SDK (stylesheet option)
+      if (this.config.stylesheet) {
+        this._appendStylesheet(this.config.stylesheet);
+        this._log('Stylesheet linked:', this.config.stylesheet);
+        return;
+      }
+
+      const styleTag = document.createElement('style');
+      if (this.config.cspNonce) styleTag.nonce = this.config.cspNonce;
+      styleTag.textContent = this._buildStyles();
+      document.head.appendChild(styleTag);
+      this._log('Styles injected');
+    },
+
+    /**
+     * Link an external stylesheet (font faces or the prebuilt SDK stylesheet)
+     */
+    _appendStylesheet: function(href) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = href;
+      if (this.config.cspNonce) link.nonce = this.config.cspNonce;
+      document.head.appendChild(link);
+    },
+
+    /**
+     * SDK stylesheet text. Must stay in sync with the prebuilt treatink.v<version>.css.
+     */
+    _buildStyles: function() {
+      return `
+        /* Shadow root hosts (shadowDom mode): keep page styles from inheriting in */
+        :host {
+          all: initial;
+          display: contents;
+          font-family: inherit;
+        }
+
+        :where(:root) {
+          ${themeDeclarations(DEFAULT_THEME)}
+        }
+
+        :where([data-treatink-color-scheme="dark"]) {
+          ${themeDeclarations(DARK_THEME)}
+        }
+
+        @media (prefers-color-scheme: dark) {
+          :where([data-treatink-color-scheme="auto"]) {
+            ${themeDeclarations(DARK_THEME)}
+          }
+        }
+
+        .treatink-personalize-btn {
+          display: inline-block;
+          padding: 12px 24px;
+          margin-bottom: 12px;
+          background-color: var(--treatink-button-bg);
+          color: var(--treatink-button-text);
+          border: none;
+          border-radius: var(--treatink-radius);
+          font-family: var(--treatink-font-family);
+          font-size: 16px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.3s ease;
+          text-align: center;
+          width: 100%;
+          max-width: 400px;
+          box-sizing: border-box;
+          letter-spacing: 0.5px;
+        }
+
+        .treatink-personalize-btn:hover {
+          background-color: var(--treatink-button-hover-bg);
+          transform: translateY(-2px);
+          box-shadow: 0 8px 20px var(--treatink-button-shadow);
+        }
+
+        .treatink-personalize-btn:active {
+          transform: translateY(0);
+        }
+
+        .treatink-personalize-btn.personalized {
+          background-color: var(--treatink-success-bg);
+          color: var(--treatink-success-text);
+        }
+
+        .treatink-personalize-btn.personalized:hover {
+          background-color: var(--treatink-success-hover-bg);
+          box-shadow: 0 8px 20px var(--treatink-success-shadow);
+        }
+
+        .treatink-personalize-btn.personalized::before {
+          content: attr(data-treatink-prefix);
+          margin-inline-end: 6px;
+        }
+
+        .treatink-personalize-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+          transform: none !important;
+        }
+
+        .treatink-personalize-btn.busy {
+          cursor: progress;
+        }
+
+        .treatink-personalize-btn.busy::after {
+          content: "";
+          display: inline-block;
+          width: 14px;
+          height: 14px;
+          margin-inline-start: 10px;
+          vertical-align: -2px;
+          border: 2px solid rgba(255, 253, 251, 0.4);
+          border-top-color: var(--treatink-button-text);
+          border-radius: 50%;
+          animation: treatinkSpin 0.7s linear infinite;
+        }
+
+        .treatink-modal-overlay {
+          display: none;
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: var(--treatink-overlay);
+          z-index: 999999;
+          justify-content: center;
+          align-items: center;
+          animation: treatinkFadeIn 0.3s ease;
+          backdrop-filter: blur(4px);
+        }
+
+        .treatink-modal-overlay.active {
+          display: flex;
+        }
+
+        .treatink-modal-content {
+          position: relative;
+          width: 95%;
+          max-width: 1200px;
+          height: 90vh;
+          background: var(--treatink-surface);
+          border-radius: var(--treatink-modal-radius);
+          box-shadow: 0 25px 80px rgba(13, 18, 33, 0.35);
+          animation: treatinkSlideUp 0.3s ease;
+          overflow: hidden;
+          display: flex;
+          flex-direction: column;
+        }
+
+        .treatink-modal-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 24px 32px;
+          background: linear-gradient(135deg, var(--treatink-header-bg) 0%, var(--treatink-header-bg-end) 100%);
+          border-radius: var(--treatink-modal-radius) var(--treatink-modal-radius) 0 0;
+          flex-shrink: 0;
+        }
+
+        .treatink-modal-title {
+          font-family: var(--treatink-heading-font-family);
+          font-size: 28px;
+          font-weight: 600;
+          color: var(--treatink-header-text);
+          margin: 0;
+          letter-spacing: 0.5px;
+        }
+
+        .treatink-modal-close {
+          background: rgba(255, 253, 251, 0.15);
+          border: 2px solid rgba(255, 253, 251, 0.3);
+          font-size: 28px;
+          color: var(--treatink-header-text);
+          cursor: pointer;
+          line-height: 1;
+          padding: 0;
+          width: 40px;
+          height: 40px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          border-radius: var(--treatink-radius);
+          transition: all 0.2s ease;
+          font-weight: 300;
+        }
+
+        .treatink-modal-close:hover {
+          background: rgba(255, 253, 251, 0.25);
+          border-color: rgba(255, 253, 251, 0.5);
+        }
+
+        .treatink-modal-close:active {
+          transform: scale(0.95);
+        }
+
+        .treatink-personalize-btn:focus-visible,
+        .treatink-modal-close:focus-visible,
+        .treatink-error-retry:focus-visible,
+        .treatink-error-dismiss:focus-visible,
+        .treatink-error-contact a:focus-visible {
+          outline: 3px solid var(--treatink-focus-ring);
+          outline-offset: 2px;
+        }
+
+        .treatink-modal-content:focus,
+        .treatink-saving-overlay:focus {
+          outline: none;
+        }
+
+        .treatink-visually-hidden {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          padding: 0;
+          margin: -1px;
+          overflow: hidden;
+          clip: rect(0, 0, 0, 0);
+          white-space: nowrap;
+          border: 0;
+        }
+
+        .treatink-modal-iframe {
+          width: 100%;
+          height: 100%;
+          border: none;
+          flex-grow: 1;
+        }
+
+        .treatink-modal-loading {
+          position: absolute;
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+          text-align: center;
+          font-family: var(--treatink-font-family);
+        }
+
+        /* ── Saving / adding-to-cart overlay ── */
+        .treatink-saving-overlay {
+          position: absolute;
+          inset: 0;
+          background: var(--treatink-surface);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 10;
+          border-radius: 0 0 var(--treatink-modal-radius) var(--treatink-modal-radius);
+        }
+
+        .treatink-saving-inner {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 20px;
+        }
+
+        .treatink-spinner {
+          width: 52px;
+          height: 52px;
+          border: 4px solid var(--treatink-spinner-track);
+          border-top-color: var(--treatink-spinner);
+          border-radius: 50%;
+          animation: treatinkSpin 0.7s linear infinite;
+        }
+
+        .treatink-success-icon {
+          width: 52px;
+          height: 52px;
+          border-radius: 50%;
+          background-color: var(--treatink-success-bg);
+          color: var(--treatink-success-text);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 28px;
+          font-weight: 700;
+        }
+
+        .treatink-saving-text {
+          font-family: var(--treatink-font-family);
+          font-size: 16px;
+          font-weight: 600;
+          color: var(--treatink-text);
+          margin: 0;
+          letter-spacing: 0.3px;
+        }
+
+        /* ── Error panel (session or cart failures) ── */
+        .treatink-error-panel {
+          position: absolute;
+          inset: 0;
+          background: var(--treatink-surface);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 11;
+          padding: 24px;
+          box-sizing: border-box;
+          border-radius: var(--treatink-modal-radius);
+        }
+
+        .treatink-error-inner {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 16px;
+          max-width: 420px;
+          text-align: center;
+          font-family: var(--treatink-font-family);
+          color: var(--treatink-text);
+        }
+
+        .treatink-error-icon {
+          width: 52px;
+          height: 52px;
+          border-radius: 50%;
+          background-color: var(--treatink-error-icon-bg);
+          color: var(--treatink-header-text);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 28px;
+          font-weight: 700;
+        }
+
+        .treatink-error-title {
+          font-family: var(--treatink-heading-font-family);
+          font-size: 22px;
+          font-weight: 600;
+          margin: 0;
+        }
+
+        .treatink-error-text {
+          font-size: 15px;
+          line-height: 1.5;
+          margin: 0;
+        }
+
+        .treatink-error-actions {
+          display: flex;
+          gap: 12px;
+          flex-wrap: wrap;
+          justify-content: center;
+        }
+
+        .treatink-error-retry,
+        .treatink-error-dismiss {
+          padding: 12px 24px;
+          border-radius: var(--treatink-radius);
+          font-family: inherit;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .treatink-error-retry {
+          background-color: var(--treatink-button-bg);
+          color: var(--treatink-button-text);
+          border: none;
+        }
+
+        .treatink-error-retry:hover {
+          background-color: var(--treatink-button-hover-bg);
+        }
+
+        .treatink-error-retry:disabled {
+          opacity: 0.6;
+          cursor: progress;
+        }
+
+        .treatink-error-dismiss {
+          background: transparent;
+          color: var(--treatink-text);
+          border: 2px solid var(--treatink-border);
+        }
+
+        .treatink-error-contact {
+          font-size: 14px;
+          margin: 0;
+          color: var(--treatink-text-muted);
+        }
+
+        .treatink-error-contact a {
+          color: inherit;
+          text-decoration: underline;
+        }
+
+        @keyframes treatinkFadeIn {
+          from { opacity: 0; }
+          to { opacity: 1; }
+        }
+
+        @keyframes treatinkSlideUp {
+          from {
+            transform: translateY(30px);
+            opacity: 0;
+          }
+          to {
+            transform: translateY(0);
+            opacity: 1;
+          }
+        }
+
+        @keyframes treatinkSpin {
+          to { transform: rotate(360deg); }
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+          .treatink-personalize-btn,
+          .treatink-modal-overlay,
+          .treatink-modal-content,
+          .treatink-modal-close {
+            animation: none;
+            transition: none;
+          }
+
+          .treatink-personalize-btn:hover {
+            transform: none;
+          }
+        }
+
+        @media (max-width: 768px) {
+          .treatink-modal-content {
+            width: 100%;
+            height: 100%;
+            max-width: none;
+            border-radius: 0;
+          }
+
+          .treatink-modal-header {
+            padding: 16px 20px;
+            border-radius: 0;
+          }
+
+          .treatink-modal-title {
+            font-size: 22px;
+          }
+
+          .treatink-modal-close {
+            width: 36px;
+            height: 36px;
+            font-size: 24px;
+          }
+
+          .treatink-saving-overlay,
+          .treatink-error-panel {
+            border-radius: 0;
+          }
+        }
+      `;
+    },
+
+    /**
+     * Inject a mount's personalize button
+     */
+    _injectPersonalizeButton: function(mount) {
+      const root = mount.root;
+      const btn = document.createElement('button');
+      btn.setAttribute('data-treatink-personalize', 'true');
+      btn.setAttribute('data-treatink-mount', mount.id);
+      btn.className = `${this.config.customizeButtonClass} treatink-personalize-btn`;
+      btn.textContent = this.config.customizeButtonText;
+      btn.type = 'button';
+      btn.setAttribute('part', 'button');
+      btn.setAttribute('data-treatink-prefix', this._t('personalizedPrefix'));
+      mount.button = btn;
+
+      // In shadowDom mode the host goes into the page and the button into its shadow root
+      const node = this.config.shadowDom ? this._createShadowHost('span', btn) : btn;
+      if (this.config.shadowDom) {
+        node.className = 'treatink-personalize-host';
+        node.setAttribute('data-treatink-personalize', 'true');
+        node.setAttribute('data-treatink-mount', mount.id);
+        mount.buttonHost = node;
+      }
+
+      // First, try to insert into custom target container if specified
+      if (mount.buttonInsertTarget) {
+        const targetContainer = root.querySelector(mount.buttonInsertTarget);
+        if (targetContainer) {
+          targetContainer.appendChild(node);
+          this._log(`Personalize button injected into target container: ${mount.buttonInsertTarget}`);
+          return;
+        } else {
+          this._log(`Target container not found: ${mount.buttonInsertTarget}, trying other methods`);
+        }
+      }
+
+      // Second, try to insert before custom element if specified (init product only)
+      if (root === document && this.config.personalizeButtonInsertBefore) {
+        const customElement = document.getElementById(this.config.personalizeButtonInsertBefore);
+        if (customElement && customElement.parentNode) {
+          customElement.parentNode.insertBefore(node, customElement);
+          this._log(`Personalize button injected before custom element: ${this.config.personalizeButtonInsertBefore}`);
+          return;
+        } else {
+          this._log(`Custom element not found: ${this.config.personalizeButtonInsertBefore}, falling back to add-to-cart selector`);
+        }
+      }
+
+      // Fallback to add-to-cart button
+      const addToCartBtn = root.querySelector(mount.addToCartSelector);
+      if (addToCartBtn && addToCartBtn.parentNode) {
+        addToCartBtn.parentNode.insertBefore(node, addToCartBtn);
+        this._log('Personalize button injected before add-to-cart button');
+      } else if (root !== document) {
+        // Mounted containers without an add-to-cart button (grid cards) get the button appended
+        root.appendChild(node);
+        this._log('Personalize button appended to mount element');
+      } else {
+        mount.button = null;
+        mount.buttonHost = null;
+        this._log('Warning: Could not find location to inject personalize button');
+      }
+    },
+
+    /**
+     * Create modal structure
+     */
+    _createModal: function() {
+      const modalOverlay = document.createElement('div');
+      modalOverlay.id = MODAL_ID;
+      modalOverlay.className = 'treatink-modal-overlay';
+      modalOverlay.setAttribute('part', 'overlay');
+      modalOverlay.setAttribute('lang', this.config.locale);
+      modalOverlay.setAttribute('dir', this.config.dir);
+
+      const modalContent = document.createElement('div');
+      modalContent.className = 'treatink-modal-content';
+      modalContent.setAttribute('part', 'modal');
+      modalContent.setAttribute('role', 'dialog');
+      modalContent.setAttribute('aria-modal', 'true');
+      modalContent.setAttribute('aria-labelledby', `${MODAL_ID}-title`);
+      modalContent.tabIndex = -1;
+
+      const modalHeader = document.createElement('div');
+      modalHeader.className = 'treatink-modal-header';
+      modalHeader.setAttribute('part', 'header');
+
+      const modalTitle = document.createElement('h2');
+      modalTitle.className = 'treatink-modal-title';
+      modalTitle.setAttribute('part', 'title');
+      modalTitle.id = `${MODAL_ID}-title`;
+      modalTitle.textContent = this._t('modalTitle');
+
+      const closeBtn = document.createElement('button');
+      closeBtn.className = 'treatink-modal-close';
+      closeBtn.setAttribute('part', 'close-button');
+      closeBtn.textContent = '\u00D7';
+      closeBtn.type = 'button';
+      closeBtn.setAttribute('aria-label', this._t('closeLabel'));
+
+      modalHeader.appendChild(modalTitle);
+      modalHeader.appendChild(closeBtn);
+
+      const iframe = document.createElement('iframe');
+      iframe.className = 'treatink-modal-iframe';
+      iframe.setAttribute('part', 'iframe');
+      iframe.title = this._t('iframeTitle');
+      iframe.setAttribute('sandbox', 'allow-same-origin allow-scripts allow-forms allow-popups');
+
+      const self = this;
+      iframe.addEventListener('load', function() {
+        // Blanking the iframe on close/save also fires load - only report the customizer
+        if (!modalOverlay.classList.contains('active') || iframe.src === 'about:blank') return;
+
+        const mount = self._activeMount;
+        const session = mount && self._getPersonalizationSession(mount.productId);
+        self._emit('customizer-loaded', {
+          productId: mount && mount.productId,
+          sessionUuid: session ? session.uuid : null
+        });
+      });
+
+      // Screen reader announcements for progress ("Adding to cart…") and errors
+      const liveStatus = document.createElement('div');
+      liveStatus.className = 'treatink-live-status treatink-visually-hidden';
+      liveStatus.setAttribute('role', 'status');
+      liveStatus.setAttribute('aria-live', 'polite');
+
+      const liveAlert = document.createElement('div');
+      liveAlert.className = 'treatink-live-alert treatink-visually-hidden';
+      liveAlert.setAttribute('role', 'alert');
+      liveAlert.setAttribute('aria-live', 'assertive');
+
+      modalContent.appendChild(modalHeader);
+      modalContent.appendChild(iframe);
+      modalContent.appendChild(liveStatus);
+      modalContent.appendChild(liveAlert);
+      modalOverlay.appendChild(modalContent);
+
+      if (this.config.shadowDom) {
+        const host = this._createShadowHost('div', modalOverlay);
+        host.id = `${MODAL_ID}-host`;
+        this._modalRoot = host.shadowRoot;
+        document.body.appendChild(host);
+      } else {
+        document.body.appendChild(modalOverlay);
+      }
+
+      this._log('Modal created');
+    },
+
+    /**
+     * The modal overlay element (found through its shadow root in shadowDom mode)
+     */
+    _getModal: function() {
+      return this._modalRoot ? this._modalRoot.getElementById(MODAL_ID) : document.getElementById(MODAL_ID);
+    },
+
+    /**
+     * The modal's top-level node in the page (the shadow host in shadowDom mode)
+     */
+    _getModalNode: function() {
+      return this._modalRoot ? this._modalRoot.host : this._getModal();
+    },
+
+    /**
+     * Show the modal as a dialog: remember focus, make the page inert, lock
+     * scrolling and move focus inside. No-op if it is already open.
+     */
+    _showModal: function() {
+      const modal = this._getModal();
+      if (!modal || modal.classList.contains('active')) return;
+
+      const mount = this._activeMount;
+      this._returnFocus = (mount && mount.button && mount.button.isConnected) ? mount.button : document.activeElement;
+
+      modal.classList.add('active');
+
+      const modalNode = this._getModalNode();
+      this._inertElements = Array.from(document.body.children).filter(el => {
+        return el !== modalNode && !el.hasAttribute('inert') && !/^(SCRIPT|STYLE|LINK)$/.test(el.tagName);
+      });
+      this._inertElements.forEach(el => el.setAttribute('inert', ''));
+
+      this._scrollLock = {
+        html: document.documentElement.style.overflow,
+        body: document.body.style.overflow
+      };
+      document.documentElement.style.overflow = 'hidden';
+      document.body.style.overflow = 'hidden';
+
+      this._focusModal();
+    },
+
+    /**
+     * Undo _showModal's inert/scroll lock and return focus to the personalize button
+     */
+    _releaseModal: function() {
+      (this._inertElements || []).forEach(el => el.removeAttribute('inert'));
+      this._inertElements = null;
+
+      if (this._scrollLock) {
+        document.documentElement.style.overflow = this._scrollLock.html;
+        document.body.style.overflow = this._scrollLock.body;
+        this._scrollLock = null;
+      }
+
+      const target = this._returnFocus;
+      this._returnFocus = null;
+      if (target && target.isConnected && typeof target.focus === 'function') {
+        target.focus();
+      }
+    },
+
+    /**
+     * Focus the first control of the current modal state (error actions,
+     * status overlay, or the dialog itself)
+     */
+    _focusModal: function() {
+      const modal = this._getModal();
+      if (!modal) return;
+
+      const target = modal.querySelector('.treatink-error-retry:not([disabled]), .treatink-error-dismiss') ||
+                     modal.querySelector('.treatink-saving-overlay') ||
+                     modal.querySelector('.treatink-modal-content');
+      target.focus();
+    },
+
+    /**
+     * Keep Tab / Shift+Tab cycling through the modal's controls
+     */
+    _trapFocus: function(e) {
+      const modal = this._getModal();
+      const focusable = Array.from(modal.querySelectorAll('button, a[href], iframe')).filter(el => {
+        return !el.disabled && el.style.display !== 'none' && !el.closest('[hidden]');
+      });
+      if (!focusable.length) {
+        e.preventDefault();
+        return;
+      }
+
+      const active = this._modalRoot ? this._modalRoot.activeElement : document.activeElement;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (!modal.contains(active)) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.shiftKey && active === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    },
+
+    /**
+     * Announce a message to screen readers (urgent messages interrupt)
+     */
+    _announce: function(message, urgent) {
+      const modal = this._getModal();
+      const region = modal && modal.querySelector(urgent ? '.treatink-live-alert' : '.treatink-live-status');
+      if (!region) return;
+
+      // Clear first so repeating the same message is announced again
+      region.textContent = '';
+      setTimeout(() => { region.textContent = message; }, 50);
+    },
+
+    /**
+     * Host element with an open shadow root holding the SDK styles and content.
+     * Style it from the page with ::part(button), ::part(header), etc.
+     */
+    _createShadowHost: function(tagName, content) {
+      const host = document.createElement(tagName);
+      const shadow = host.attachShadow({ mode: 'open' });
+
+      if (this.config.stylesheet) {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = this.config.stylesheet;
+        if (this.config.cspNonce) link.nonce = this.config.cspNonce;
+        shadow.appendChild(link);
+      } else {
+        const styleTag = document.createElement('style');
+        if (this.config.cspNonce) styleTag.nonce = this.config.cspNonce;
+        styleTag.textContent = this._buildStyles();
+        shadow.appendChild(styleTag);
+      }
+
+      shadow.appendChild(content);
+      return host;
+    },
+
+    /**
+     * Setup event listeners
+     */
+    _setupEventListeners: function() {
+      const self = this;
+
+      // Personalize button click
+      document.addEventListener('click', (e) => {
+        if (e.target.getAttribute && e.target.getAttribute('data-treatink-personalize') === 'true') {
+          const mount = self._getMountById(e.target.getAttribute('data-treatink-mount'));
+          if (mount) {
+            self._openModal(mount);
+          }
+        }
+      });
+
+      // Modal close button
+      const closeBtn = this._getModal() && this._getModal().querySelector('.treatink-modal-close');
+      if (closeBtn) {
+        closeBtn.addEventListener('click', () => self._closeModal());
+      }
+
+      // Click outside modal to close
+      const modalOverlay = this._getModal();
+      if (modalOverlay) {
+        modalOverlay.addEventListener('click', (e) => {
+          if (e.target === modalOverlay) {
+            self._closeModal();
+          }
+        });
+      }
+
+      // Escape closes the open modal; Tab stays inside it. Only sees keys
+      // pressed on the dialog chrome - the customizer sends treatink:close for its own
+      document.addEventListener('keydown', (e) => {
+        const modal = self._getModal();
+        if (!modal || !modal.classList.contains('active')) return;
+
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          self._closeModal();
+        } else if (e.key === 'Tab') {
+          self._trapFocus(e);
+        }
+      });
+
+      // Pull focus back if it lands outside the modal (browsers without inert)
+      document.addEventListener('focusin', (e) => {
+        const modal = self._getModal();
+        if (!modal || !modal.classList.contains('active')) return;
+        if (!self._getModalNode().contains(e.target)) {
+          self._focusModal();
+        }
+      });
+
+      // Listen for postMessage from customizer iframe
+      // Only accept messages from trusted TreatInk origins
+      window.addEventListener('message', (event) => {
+        // ── Origin validation ─────────────────────────────────────────────────
+        if (!self.config.trustedOrigins.includes(event.origin)) {
+          self._log('Ignored postMessage from untrusted origin:', event.origin);
+          return;
+        }
+        // ─────────────────────────────────────────────────────────────────────
+
+        // ── Source validation: only the customizer iframe we opened ─────────
+        const modal = self._getModal();
+        const iframe = modal && modal.querySelector('.treatink-modal-iframe');
+        if (!iframe || !event.source || event.source !== iframe.contentWindow) {
+          self._log('Ignored postMessage from a window other than the customizer iframe');
+          return;
+        }
+
+        // Messages belong to the product whose button opened the modal
+        const mount = self._activeMount;
+        if (!mount || !event.data) return;
+
+        // Versioned protocol messages
+        if (event.data.source === PROTOCOL_SOURCE) {
+          self._handleProtocolMessage(event, mount);
+          return;
+        }
+
+        // Legacy: artwork saved from customizers that predate the protocol
+        if (event.data.type === 'treatink_artwork_saved') {
+          self._log('Artwork saved message received:', event.data);
+          if (self._verifySaveMessage(event.data.sessionUuid, event.data.saveNonce)) {
+            self._handleArtworkSaved(mount, event.data.sessionUuid, event.data.artworkUrl);
+          }
+        }
+        
+        // Legacy support for older message format
+        if (event.data.type === 'treatink_personalization_complete') {
+          const payload = event.data.payload;
+          self._log('Personalization complete:', payload);
+
+          if (!payload || !self._verifySaveMessage(payload.sessionUuid, payload.saveNonce)) return;
+          
+          const saved = self._savePersonalizationSession({
+            uuid: payload.sessionUuid,
+            productId: mount.productId,
+            customized: true,
+            customizationData: payload
+          });
+          if (!saved) {
+            self._showModalError({ message: self._t('saveErrorMessage') });
+            return;
+          }
+          
+          self._storePendingPersonalization(payload.sessionUuid, mount.productId, payload);
+          self._updateButtonState(true, mount.productId);
+          self._emit('artwork-saved', {
+            productId: mount.productId,
+            sessionUuid: payload.sessionUuid,
+            artworkUrl: payload.artworkUrl || null
+          });
+          self._closeModal();
+          
+          if (self.config.onPersonalizationComplete) {
+            self.config.onPersonalizationComplete(payload);
+          }
+        }
+      });
+
+      this._log('Event listeners setup complete');
+    },
+
+    /**
+     * Accept a save only for the session this modal opened (once), and with
+     * requireSaveNonce, only when it carries the nonce issued with that session
+     */
+    _verifySaveMessage: function(sessionUuid, saveNonce) {
+      if (!this._activeSessionUuid || sessionUuid !== this._activeSessionUuid) {
+        this._log('Ignored save for unexpected session:', sessionUuid);
+        return false;
+      }
+
+      if (this.config.requireSaveNonce && (!this._activeSaveNonce || saveNonce !== this._activeSaveNonce)) {
+        console.error('[TreatInk SDK] ERROR: save message failed nonce verification, not adding to cart');
+        return false;
+      }
+
+      // One save per session - a replayed message must not add to cart twice
+      this._activeSessionUuid = null;
+      this._activeSaveNonce = null;
+      return true;
+    },
+
+    /**
+     * Artwork saved in the customizer: record it, show the spinner and add to cart.
+     * Callers verify the save with _verifySaveMessage first; this tears down the iframe.
+     */
+    _handleArtworkSaved: function(mount, sessionUuid, artworkUrl) {
+      // Update local session with artwork URL
+      const session = this._getPersonalizationSession(mount.productId);
+      let saved = false;
+      if (session) {
+        session.customized = true;
+        session.uuid = sessionUuid;
+        session.artworkUrl = artworkUrl;
+        saved = this._savePersonalizationSession(session);
+      }
+
+      // Without auto-add, the stored session is the only way the UUID reaches the cart
+      if (!saved && !this._getPlatformAdapter().addToCart) {
+        console.error('[TreatInk SDK] Personalization could not be stored, not marking as personalized');
+        this._showModalError({ message: this._t('saveErrorMessage') });
+        return;
+      }
+
+      // Replace iframe content with branded loading spinner.
+      // Modal stays visible and open — the spinner dismisses naturally
+      // when window.location.href = '/cart' fires in _autoAddToCartAndRedirect.
+      this._showModalLoadingState();
+
+      this._emit('artwork-saved', { productId: mount.productId, sessionUuid, artworkUrl });
+
+      // Add to cart and redirect
+      this._autoAddToCartAndRedirect(mount, sessionUuid, artworkUrl);
+
+      // Call user callback if provided
+      if (this.config.onPersonalizationComplete) {
+        this.config.onPersonalizationComplete({ sessionUuid, artworkUrl });
+      }
+    },
+
+    /**
+     * Dispatch a protocol envelope from the customizer. Responses to SDK
+     * requests settle the pending promise; unknown types and invalid payloads
+     * are answered with treatink:error rather than dropped silently.
+     */
+    _handleProtocolMessage: function(event, mount) {
+      const message = event.data;
+
+      if (SUPPORTED_PROTOCOL_VERSIONS.indexOf(message.protocolVersion) === -1) {
+        this._log('Unsupported protocol version:', message.protocolVersion);
+        this._replyToCustomizer(event, 'treatink:error', {
+          code: 'unsupported_version',
+          message: `Supported protocol versions: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`
+        }, message.id);
+        return;
+      }
+
+      // Response to a request this SDK sent
+      const pending = message.correlationId && this._pendingCustomizerRequests[message.correlationId];
+      if (pending) {
+        delete this._pendingCustomizerRequests[message.correlationId];
+        clearTimeout(pending.timer);
+        if (message.type === 'treatink:error') {
+          const errorPayload = message.payload || {};
+          pending.reject(new Error(errorPayload.message || errorPayload.code || 'Customizer error'));
+        } else {
+          pending.resolve(message.payload || {});
+        }
+        return;
+      }
+
+      // Late response to a request that already timed out (or a handshake ack):
+      // nothing is waiting for it, and answering a response could loop
+      if (message.correlationId && (message.type === 'treatink:ack' || message.type === 'treatink:error')) {
+        this._log(`Ignoring ${message.type} for settled request:`, message.correlationId);
+        return;
+      }
+
+      const schema = MESSAGE_SCHEMAS[message.type];
+      if (!schema) {
+        this._log('Ignoring unknown customizer message type:', message.type);
+        this._replyToCustomizer(event, 'treatink:error', {
+          code: 'unknown_type',
+          message: `Unknown message type: ${message.type}`
+        }, message.id);
+        return;
+      }
+
+      const problem = validatePayload(schema, message.payload);
+      if (problem) {
+        this._log(`Invalid ${message.type} payload:`, problem);
+        this._replyToCustomizer(event, 'treatink:error', {
+          code: 'invalid_payload',
+          message: problem
+        }, message.id);
+        return;
+      }
+
+      const payload = message.payload || {};
+      this._log(`Customizer message: ${message.type}`, payload);
+
+      switch (message.type) {
+        case 'treatink:ready':
+          this._sendCustomizerInit(mount, payload, message.id);
+          break;
+
+        case 'treatink:artwork-saved':
+          // Ack while the customizer is still loaded - handling blanks the iframe
+          if (this._verifySaveMessage(payload.sessionUuid, payload.saveNonce)) {
+            this._replyToCustomizer(event, 'treatink:ack', {}, message.id);
+            this._handleArtworkSaved(mount, payload.sessionUuid, payload.artworkUrl);
+          } else {
+            this._replyToCustomizer(event, 'treatink:error', {
+              code: 'session_mismatch',
+              message: 'Save does not match the open session'
+            }, message.id);
+          }
+          break;
+
+        case 'treatink:close':
+          this._closeModal();
+          break;
+
+        case 'treatink:ack':
+          break;
+
+        case 'treatink:error':
+          console.error('[TreatInk SDK] Customizer reported an error:', payload.message || payload.code);
+          break;
+      }
+    },
+
+    /**
+     * Handshake: answer the customizer's ready message with SDK version and config
+     */
+    _sendCustomizerInit: function(mount, ready, readyId) {
+      this._log('Customizer ready:', ready);
+
+      this._requestCustomizer('treatink:init', {
+        sdkVersion: SDK_VERSION,
+        protocolVersion: PROTOCOL_VERSION,
+        sessionUuid: this._activeSessionUuid,
+        productId: mount.productId,
+        variantId: mount.customizerContext ? mount.customizerContext.variantId : null,
+        product: mount.customizerContext,
+        customizerParams: this._getCustomizerParams(mount, mount.customizerContext || {}),
+        platform: this.config.platform,
+        hostname: this.hostname,
+        environment: this.config.environment,
+        petTypes: this.config.petTypes,
+        locale: this.config.locale
+      }, readyId)
+        .then(() => {
+          this._log('Customizer handshake complete');
+        })
+        .catch(error => {
+          this._log('Customizer did not acknowledge init:', error.message);
+        });
+    },
+
+    /**
+     * Wrap a payload in a protocol envelope
+     */
+    _createProtocolMessage: function(type, payload, correlationId) {
+      const message = {
+        source: PROTOCOL_SOURCE,
+        protocolVersion: PROTOCOL_VERSION,
+        type: type,
+        id: this._generateUUID(),
+        payload: payload || {}
+      };
+      if (correlationId) {
+        message.correlationId = correlationId;
+      }
+      return message;
+    },
+
+    /**
+     * Reply to the window that sent a message
+     */
+    _replyToCustomizer: function(event, type, payload, correlationId) {
+      if (!event.source) return;
+      event.source.postMessage(this._createProtocolMessage(type, payload, correlationId), event.origin);
+    },
+
+    /**
+     * Send a message to the customizer iframe. Resolves with the payload of the
+     * response carrying a matching correlationId; rejects on treatink:error or
+     * after CUSTOMIZER_REQUEST_TIMEOUT_MS. Pass correlationId when the request
+     * itself answers a customizer message.
+     */
+    _requestCustomizer: function(type, payload, correlationId) {
+      const modal = this._getModal();
+      const iframe = modal && modal.querySelector('.treatink-modal-iframe');
+      if (!iframe || !iframe.contentWindow) {
+        return Promise.reject(new Error('Customizer is not open'));
+      }
+
+      const message = this._createProtocolMessage(type, payload, correlationId);
+      const targetOrigin = getOrigin(this.config.customizeUrl);
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          delete this._pendingCustomizerRequests[message.id];
+          reject(new Error(`No response to ${type}`));
+        }, CUSTOMIZER_REQUEST_TIMEOUT_MS);
+
+        this._pendingCustomizerRequests[message.id] = { resolve, reject, timer };
+        iframe.contentWindow.postMessage(message, targetOrigin);
+      });
+    },
+
+    /**
+     * Show a branded loading spinner inside the modal.
+     * Called after artwork is saved, while the SDK is adding to cart.
+     * The modal remains visible — the page navigation to /cart closes it naturally.
+     */
+    _showModalLoadingState: function(text) {
+      const modal = this._getModal();
+      if (!modal) return;
+
+      // Clear the iframe so the customizer stops rendering
+      const iframe = modal.querySelector('.treatink-modal-iframe');
+      if (iframe) {
+        iframe.src = 'about:blank';
+        iframe.style.display = 'none';
+      }
+
+      // An error panel being retried gives way to the spinner
+      const errorPanel = modal.querySelector('.treatink-error-panel');
+      if (errorPanel) errorPanel.remove();
+
+      // Prevent duplicate overlays
+      const modalContent = modal.querySelector('.treatink-modal-content');
+      if (modalContent.querySelector('.treatink-saving-overlay')) return;
+
+      const overlay = document.createElement('div');
+      overlay.className = 'treatink-saving-overlay';
+      overlay.setAttribute('part', 'status');
+      overlay.tabIndex = -1;
+      overlay.appendChild(this._createStatus('treatink-spinner', '', text || this._t('addingToCart')));
+      modalContent.appendChild(overlay);
+      modalContent.setAttribute('aria-busy', 'true');
+
+      // Focus was in the now hidden iframe or error panel
+      overlay.focus();
+      this._announce(text || this._t('addingToCart'));
+
+      this._log('Loading state shown in modal');
+    },
+
+    /**
+     * Swap the loading spinner for a success message (afterAddToCart: 'none')
+     */
+    _showModalSuccessState: function() {
+      const modal = this._getModal();
+      const overlay = modal && modal.querySelector('.treatink-saving-overlay');
+      if (!overlay) return;
+
+      overlay.replaceChildren(this._createStatus('treatink-success-icon', '\u2713', this._t('addedToCart')));
+      modal.querySelector('.treatink-modal-content').removeAttribute('aria-busy');
+      this._announce(this._t('addedToCart'));
+
+      this._log('Success state shown in modal');
+    },
+
+    /**
+     * Saving overlay content: an icon (spinner or check) above a status line
+     */
+    _createStatus: function(iconClass, iconText, text) {
+      const inner = document.createElement('div');
+      inner.className = 'treatink-saving-inner';
+
+      const icon = document.createElement('div');
+      icon.className = iconClass;
+      icon.textContent = iconText;
+      icon.setAttribute('aria-hidden', 'true');
+
+      const label = document.createElement('p');
+      label.className = 'treatink-saving-text';
+      label.textContent = text;
+
+      inner.appendChild(icon);
+      inner.appendChild(label);
+      return inner;
+    },
+
+    /**
+     * Show an error panel inside the modal (opening it if needed) with a
+     * Retry button that re-runs the failed step, a Close button and a
+     * contact-the-store fallback.
+     *
+     * options: title, message, onRetry
+     */
+    _showModalError: function(options) {
+      const self = this;
+      const modal = this._getModal();
+      if (!modal) return;
+
+      const modalContent = modal.querySelector('.treatink-modal-content');
+      [].forEach.call(modalContent.querySelectorAll('.treatink-saving-overlay, .treatink-error-panel'), el => el.remove());
+
+      const iframe = modal.querySelector('.treatink-modal-iframe');
+      if (iframe) {
+        iframe.src = 'about:blank';
+        iframe.style.display = 'none';
+      }
+
+      const panel = document.createElement('div');
+      panel.className = 'treatink-error-panel';
+      panel.setAttribute('part', 'error');
+
+      const inner = document.createElement('div');
+      inner.className = 'treatink-error-inner';
+
+      const icon = document.createElement('div');
+      icon.className = 'treatink-error-icon';
+      icon.textContent = '!';
+      icon.setAttribute('aria-hidden', 'true');
+
+      const title = document.createElement('h3');
+      title.className = 'treatink-error-title';
+      title.textContent = options.title || this._t('errorTitle');
+
+      const text = document.createElement('p');
+      text.className = 'treatink-error-text';
+      text.textContent = options.message;
+
+      const actions = document.createElement('div');
+      actions.className = 'treatink-error-actions';
+
+      if (options.onRetry) {
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'treatink-error-retry';
+        retryBtn.setAttribute('part', 'error-retry');
+        retryBtn.textContent = this._t('retry');
+        retryBtn.addEventListener('click', function() {
+          retryBtn.disabled = true;
+          options.onRetry();
+        });
+        actions.appendChild(retryBtn);
+      }
+
+      const dismissBtn = document.createElement('button');
+      dismissBtn.type = 'button';
+      dismissBtn.className = 'treatink-error-dismiss';
+      dismissBtn.setAttribute('part', 'error-dismiss');
+      dismissBtn.textContent = this._t('close');
+      dismissBtn.addEventListener('click', () => self._closeModal());
+      actions.appendChild(dismissBtn);
+
+      const contact = document.createElement('p');
+      contact.className = 'treatink-error-contact';
+      if (this.config.contactUrl) {
+        contact.appendChild(document.createTextNode(`${this._t('contactPrompt')} `));
+        const link = document.createElement('a');
+        link.href = this.config.contactUrl;
+        link.textContent = this._t('contactLink');
+        contact.appendChild(link);
+      } else {
+        contact.textContent = this._t('contactFallback');
+      }
+
+      inner.appendChild(icon);
+      inner.appendChild(title);
+      inner.appendChild(text);
+      inner.appendChild(actions);
+      inner.appendChild(contact);
+      panel.appendChild(inner);
+      modalContent.appendChild(panel);
+      modalContent.removeAttribute('aria-busy');
+
+      // No modal-open here: a failed session is reported by session-failed, and
+      // modal-open fires once the customizer opens (e.g. after Retry)
+      if (!modal.classList.contains('active')) {
+        this._showModal();
+      } else {
+        this._focusModal();
+      }
+      this._announce(`${title.textContent}. ${options.message}`, true);
+
+      this._log('Error shown in modal:', options.message);
+    },
+
+    /**
+     * Toggle a mount's personalize button busy/disabled while its session is requested
+     */
+    _setButtonBusy: function(mount, busy) {
+      mount.busy = busy;
+
+      const btn = mount.button;
+      if (!btn) return;
+
+      btn.disabled = busy;
+      btn.classList.toggle('busy', busy);
+      togglePart(btn, 'busy', busy);
+      if (busy) {
+        btn.setAttribute('aria-busy', 'true');
+      } else {
+        btn.removeAttribute('aria-busy');
+      }
+    },
+
+    /**
+     * Open modal and load customizer for a mounted product
+     */
+    _openModal: async function(mount) {
+      const modal = this._getModal();
+      if (!modal) return;
+
+      // Ignore repeat clicks while the session request is in flight
+      if (mount.busy) return;
+
+      this._activeMount = mount;
+      const iframe = modal.querySelector('.treatink-modal-iframe');
+
+      // Retrying from the error panel: show the spinner while the session is created
+      if (modal.classList.contains('active')) {
+        this._showModalLoadingState(this._t('loading'));
+      }
+      
+      // Create personalization session locally
+      const session = {
+        uuid: this._generateUUID(),
+        productId: mount.productId,
+        customized: false,
+        createdAt: new Date().toISOString()
+      };
+      
+      if (!this._savePersonalizationSession(session)) {
+        this._showModalError({
+          message: this._t('saveErrorMessage'),
+          onRetry: () => this._openModal(mount)
+        });
+        return;
+      }
+      
+      // Create session in database and get back the actual sessionUuid
+      this._setButtonBusy(mount, true);
+      const dbSession = await this._createSessionInDatabase(session);
+      this._setButtonBusy(mount, false);
+
+      if (!dbSession) {
+        console.error('[TreatInk SDK] Failed to create session, aborting');
+        this._showModalError({
+          title: this._t('sessionErrorTitle'),
+          message: this._t('sessionErrorMessage'),
+          onRetry: () => this._openModal(mount)
+        });
+        return;
+      }
+
+      // Remove any leftover saving overlay or error panel from a previous attempt
+      [].forEach.call(modal.querySelectorAll('.treatink-saving-overlay, .treatink-error-panel'), el => el.remove());
+      modal.querySelector('.treatink-modal-content').removeAttribute('aria-busy');
+
+      // Restore iframe visibility in case it was hidden by a previous saving state
+      if (iframe) iframe.style.display = '';
+      
+      // Update local session with database UUID
+      session.uuid = dbSession.sessionUuid;
+      this._activeSessionUuid = dbSession.sessionUuid;
+      this._activeSaveNonce = dbSession.saveNonce || null;
+      if (!this._savePersonalizationSession(session)) {
+        this._showModalError({
+          message: this._t('saveErrorMessage'),
+          onRetry: () => this._openModal(mount)
+        });
+        return;
+      }
+      
+      this._emit('session-created', { productId: mount.productId, sessionUuid: dbSession.sessionUuid });
+
+      // Variant, options, quantity and price when the modal opens, for the customizer's mockup
+      mount.customizerContext = this._getCustomizerContext(mount);
+
+      // Show modal only after successful session creation (focus moves in if it was closed)
+      if (modal.classList.contains('active')) {
+        this._focusModal();
+      } else {
+        this._showModal();
+      }
+      this._emit('modal-open', { productId: mount.productId, sessionUuid: dbSession.sessionUuid });
+      
+      // Build customizer URL using the sessionUuid from database
+      const customizerUrl = this._buildCustomizerUrl(mount, dbSession.sessionUuid);
+
+      if (iframe) {
+        iframe.src = customizerUrl;
+        this._log('Modal opened with customizer URL:', customizerUrl);
+      }
+    },
+
+    /**
+     * Customizer URL for a session: SDK parameters, product context, then the
+     * merchant's customizerParams (which cannot replace SDK parameters)
+     */
+    _buildCustomizerUrl: function(mount, sessionUuid) {
+      const context = mount.customizerContext || {};
+      const url = new URL(this.config.customizeUrl);
+      const params = url.searchParams;
+
+      params.set('apiMode', 'true');
+      params.set('uuid', sessionUuid);
+      params.set('platform', this.config.platform);
+      params.set('productId', mount.productId);
+      params.set('hostname', this.hostname);
+      params.set('petTypes', this.config.petTypes.join(','));
+      params.set('locale', this.config.locale);
+
+      if (context.variantId) params.set('variantId', context.variantId);
+      if (context.options && Object.keys(context.options).length) {
+        params.set('options', JSON.stringify(context.options));
+      }
+      if (context.quantity) params.set('quantity', String(context.quantity));
+      if (context.price != null) params.set('price', String(context.price));
+      if (context.currency) params.set('currency', context.currency);
+
+      const reserved = Array.from(params.keys()).concat(['fresh', 't']);
+      const extra = this._getCustomizerParams(mount, context);
+      Object.keys(extra).forEach(key => {
+        const value = extra[key];
+        if (value == null) return;
+        if (reserved.includes(key)) {
+          console.warn(`[TreatInk SDK] customizerParams cannot override "${key}"`);
+          return;
+        }
+        params.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      });
+
+      params.set('fresh', '1');
+      params.set('t', String(Date.now()));
+      return url.toString();
+    },
+
+    /**
+     * Product context for the customizer: selected variant, its options
+     * (e.g. { Size: 'Large', Flavor: 'Chicken' }), quantity, unit price (in
+     * major units, e.g. '24.99') and currency, as far as the platform exposes them
+     */
+    _getCustomizerContext: function(mount) {
+      const adapter = this._getPlatformAdapter();
+      const form = this._getProductForm(mount);
+      const variantId = this._getVariantId(mount, form, adapter);
+      const details = adapter.getVariantDetails(variantId, {
+        form: form,
+        root: mount.root,
+        variant: mount.selectedVariant
+      }, this) || {};
+
+      return {
+        variantId: variantId,
+        options: details.options || {},
+        quantity: adapter.getQuantity(form, this),
+        price: details.price != null ? details.price : null,
+        currency: details.currency || null
+      };
+    },
+
+    /**
+     * Merchant customizerParams for a mount (mount option over init option).
+     * Either may be a function(context, mount) returning an object.
+     */
+    _getCustomizerParams: function(mount, context) {
+      const resolve = (params) => {
+        if (typeof params === 'function') {
+          try {
+            return params(context, mount) || {};
+          } catch (e) {
+            console.error('[TreatInk SDK] customizerParams function threw:', e);
+            return {};
+          }
+        }
+        return params || {};
+      };
+      return Object.assign({}, resolve(this.config.customizerParams), resolve(mount.customizerParams));
+    },
+
+    /**
+     * Create personalization session in database
+     */
+    _createSessionInDatabase: async function(session) {
+      try {
+        const responseData = await this._apiRequest('/functions/v1/create-personalization-session', {
+          method: 'POST',
+          body: {
+            externalProductId: session.productId,
+            platform: this.config.platform,
+            salesChannelHostname: this.hostname
+          }
+        });
+
+        this._log('Session created in database:', responseData.sessionUuid);
+        return responseData;
+      } catch (error) {
+        console.error('[TreatInk SDK] Session creation failed:', error.message);
+        this._emit('session-failed', {
+          productId: session.productId,
+          error: error.message,
+          code: error.code,
+          status: error.status
+        });
+        return null;
+      }
+    },
+
+    /**
+     * Store pending personalization for webhook order matching
+     */
+    _storePendingPersonalization: async function(sessionUuid, productId, customizationData) {
+      try {
+        await this._apiRequest('/functions/v1/pending-personalization', {
+          method: 'POST',
+          idempotencyKey: `pending-personalization-${sessionUuid}`,
+          body: {
+            sessionUuid: sessionUuid,
+            productId: productId,
+            platform: this.config.platform,
+            hostname: this.hostname,
+            customizationData: customizationData
+          }
+        });
+
+        this._log('Pending personalization stored:', sessionUuid);
+        return true;
+      } catch (error) {
+        console.error('[TreatInk SDK] Failed to store pending personalization:', error.message);
+        if (error.retryable) {
+          this._enqueueRequest('/functions/v1/pending-personalization', {
+            sessionUuid: sessionUuid,
+            productId: productId,
+            platform: this.config.platform,
+            hostname: this.hostname,
+            customizationData: customizationData
+          }, `pending-personalization-${sessionUuid}`);
+        }
+        return false;
+      }
+    },
+
+    /**
+     * Flush queued requests now, on reconnect, and beacon them on pagehide
+     */
+    _setupRequestQueue: function() {
+      const self = this;
+
+      window.addEventListener('pagehide', function() {
+        self._beaconRequestQueue();
+      });
+      window.addEventListener('online', function() {
+        self._flushRequestQueue();
+      });
+
+      this._flushRequestQueue();
+    },
+
+    /**
+     * Read the durable request queue from storage
+     */
+    _readRequestQueue: function() {
+      try {
+        const stored = this._storage.getItem(QUEUE_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : [];
+      } catch (e) {
+        console.error('[TreatInk SDK] Error reading request queue:', e);
+        return [];
+      }
+    },
+
+    /**
+     * Write the durable request queue to storage
+     */
+    _writeRequestQueue: function(queue) {
+      try {
+        if (queue.length) {
+          this._storage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+        } else {
+          this._storage.removeItem(QUEUE_STORAGE_KEY);
+        }
+        return true;
+      } catch (e) {
+        console.error('[TreatInk SDK] Error saving request queue:', e);
+        return false;
+      }
+    },
+
+    /**
+     * Persist a failed TreatInk POST for redelivery. Entries are deduplicated by
+     * idempotency key, which embeds the order ID or session UUID.
+     */
+    _enqueueRequest: function(path, body, key) {
+      const queue = this._readRequestQueue();
+      const existing = queue.find(entry => entry.key === key);
+
+      if (existing) {
+        existing.body = body;
+      } else {
+        queue.push({
+          key: key,
+          path: path,
+          body: body,
+          createdAt: new Date().toISOString(),
+          attempts: 0
+        });
+      }
+
+      const saved = this._writeRequestQueue(queue);
+      if (saved) {
+        this._log('Request queued for retry:', key);
+      }
+      return saved;
+    },
+
+    /**
+     * Remove a delivered request from the queue
+     */
+    _dequeueRequest: function(key) {
+      const queue = this._readRequestQueue();
+      const remaining = queue.filter(entry => entry.key !== key);
+      if (remaining.length !== queue.length) {
+        this._writeRequestQueue(remaining);
+      }
+    },
+
+    /**
+     * Redeliver queued requests. Retryable failures stay queued; rejected or
+     * expired entries are dropped.
+     */
+    _flushRequestQueue: async function() {
+      if (this._flushingQueue) return;
+
+      const queue = this._readRequestQueue();
+      if (!queue.length) return;
+
+      this._flushingQueue = true;
+      this._log(`Flushing ${queue.length} queued request(s)`);
+
+      for (const entry of queue) {
+        if (Date.now() - Date.parse(entry.createdAt) > QUEUE_MAX_AGE_MS) {
+          console.error('[TreatInk SDK] Dropping expired queued request:', entry.key);
+          this._dequeueRequest(entry.key);
+          continue;
+        }
+
+        try {
+          const result = await this._apiRequest(entry.path, {
+            method: 'POST',
+            body: entry.body,
+            idempotencyKey: entry.key,
+            retries: 0
+          });
+
+          this._dequeueRequest(entry.key);
+          this._log('Queued request delivered:', entry.key);
+
+          if (entry.body.externalOrderId) {
+            this._emit('order-confirmed', { orderId: entry.body.externalOrderId, result: result, queued: true });
+          }
+        } catch (error) {
+          if (!error.retryable) {
+            console.error(`[TreatInk SDK] Dropping queued request ${entry.key}:`, error.message);
+            this._dequeueRequest(entry.key);
+          } else {
+            const current = this._readRequestQueue();
+            const stored = current.find(e => e.key === entry.key);
+            if (stored) {
+              stored.attempts = (stored.attempts || 0) + 1;
+              this._writeRequestQueue(current);
+            }
+          }
+        }
+      }
+
+      this._flushingQueue = false;
+    },
+
+    /**
+     * Fire-and-forget delivery of queued requests as the page unloads. Entries
+     * stay queued until a later flush confirms delivery, so each is beaconed at
+     * most once per page lifetime (pagehide repeats with the back/forward cache).
+     */
+    _beaconRequestQueue: function() {
+      if (!navigator.sendBeacon) return;
+
+      const baseUrl = this.config.apiBaseUrl;
+      this._readRequestQueue().forEach(entry => {
+        if (this._beaconedAt[entry.key]) return;
+
+        const payload = Object.assign({}, entry.body, {
+          idempotencyKey: entry.key,
+          apiKey: this.config.apiKey
+        });
+        if (navigator.sendBeacon(`${baseUrl}${entry.path}`, new Blob([JSON.stringify(payload)], { type: 'text/plain' }))) {
+          this._beaconedAt[entry.key] = Date.now();
+        }
+      });
+    },
+
+    /**
+     * Call a TreatInk API endpoint (path relative to config.apiBaseUrl).
+     * Times out after config.requestTimeout and retries network errors, 5xx and
+     * 429 with jittered exponential backoff, honoring Retry-After. POSTs carry an
+     * Idempotency-Key that stays the same across retries.
+     * Beacons (_beaconRequestQueue) cannot set headers: they POST a text/plain JSON
+     * body with `idempotencyKey` and `apiKey` fields, which the API must treat
+     * exactly like the Idempotency-Key and X-TreatInk-Api-Key headers.
+     * Resolves with the parsed JSON body; rejects with a TreatInkApiError.
+     *
+     * options: method, body, headers, idempotencyKey, timeout, retries
+     */
+    _apiRequest: async function(path, options) {
+      options = options || {};
+      const method = options.method || 'GET';
+      const url = `${this.config.apiBaseUrl}${path}`;
+      const timeout = options.timeout || this.config.requestTimeout;
+      const maxRetries = options.retries != null ? options.retries : this.config.maxRetries;
+
+      const headers = Object.assign({ 'Content-Type': 'application/json' }, options.headers);
+      if (this.config.apiKey) {
+        headers['X-TreatInk-Api-Key'] = this.config.apiKey;
+      }
+      if (method === 'POST') {
+        headers['Idempotency-Key'] = options.idempotencyKey || this._generateUUID();
+      }
+
+      for (let attempt = 1; ; attempt++) {
+        let error;
+
+        try {
+          const response = await this._fetchWithTimeout(url, {
+            method: method,
+            headers: headers,
+            body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+          }, timeout);
+
+          const data = await response.json().catch(() => null);
+          if (response.ok) return data;
+
+          error = new TreatInkApiError((data && data.error) || `HTTP ${response.status}`, {
+            code: 'http',
+            status: response.status,
+            endpoint: path,
+            data: data,
+            retryable: response.status >= 500 || response.status === 429,
+            retryAfter: this._parseRetryAfter(response.headers.get('Retry-After'))
+          });
+        } catch (e) {
+          const timedOut = e.name === 'AbortError';
+          error = new TreatInkApiError(timedOut ? `Request timed out after ${timeout}ms` : e.message, {
+            code: timedOut ? 'timeout' : 'network',
+            endpoint: path,
+            retryable: true
+          });
+        }
+
+        error.attempts = attempt;
+
+        if (error.status === 401 || error.status === 403) {
+          this._reportApiKeyRejected(error);
+        }
+
+        // A Retry-After beyond our ceiling means the shopper would wait too long - give up
+        const tooLong = error.retryAfter !== null && error.retryAfter > RETRY_MAX_DELAY_MS;
+        if (!error.retryable || attempt > maxRetries || tooLong) {
+          throw error;
+        }
+
+        const delay = error.retryAfter !== null ? error.retryAfter : this._getRetryDelay(attempt);
+        this._log(`Request to ${path} failed (${error.message}), retry ${attempt} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    },
+
+    /**
+     * Log and emit 'api-key-rejected' for a 401/403 from the TreatInk API
+     */
+    _reportApiKeyRejected: function(error) {
+      const reason = (error.data && (error.data.reason || error.data.code)) ||
+                     (this.config.apiKey ? 'invalid' : 'missing');
+
+      console.error(`[TreatInk SDK] ERROR: API key rejected (${reason}) for ${this.hostname}:`, error.message);
+      this._emit('api-key-rejected', {
+        reason: reason,
+        status: error.status,
+        endpoint: error.endpoint,
+        hostname: this.hostname,
+        error: error.message
+      });
+    },
+
+    /**
+     * fetch() that aborts after timeout ms (no timeout without AbortController)
+     */
+    _fetchWithTimeout: function(url, init, timeout) {
+      if (typeof AbortController === 'undefined') {
+        return fetch(url, init);
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+
+      return fetch(url, Object.assign({}, init, { signal: controller.signal }))
+        .finally(() => clearTimeout(timer));
+    },
+
+    /**
+     * Exponential backoff with jitter: 50-100% of base * 2^(attempt - 1), capped
+     */
+    _getRetryDelay: function(attempt) {
+      const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), RETRY_MAX_DELAY_MS);
+      return Math.round(delay / 2 + Math.random() * delay / 2);
+    },
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+     */
+    _parseRetryAfter: function(value) {
+      if (!value) return null;
+
+      if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+      }
+
+      const date = Date.parse(value);
+      return isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    /**
+     * Close modal
+     */
+    _closeModal: function() {
+      const modal = this._getModal();
+      if (modal) {
+        const wasOpen = modal.classList.contains('active');
+        modal.classList.remove('active');
+        const iframe = modal.querySelector('.treatink-modal-iframe');
+        if (iframe) {
+          iframe.src = 'about:blank';
+        }
+        if (wasOpen) this._releaseModal();
+        this._log('Modal closed');
+
+        if (wasOpen) {
+          const productId = this._activeMount ? this._activeMount.productId : null;
+          this._emit('modal-closed', { productId });
+          if (this.config.onPersonalizationClose) {
+            this.config.onPersonalizationClose({ productId });
+          }
+        }
+      }
+    },
+
+    /**
+     * Generate UUID using crypto.getRandomValues for cryptographic randomness
+     */
+    _generateUUID: function() {
+      if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+      }
+      // Fallback for older browsers
+      return ([1e7]+-1e3+-4e3+-8e3+-1e11).replace(/[018]/g, function(c) {
+        return (c ^ window.crypto.getRandomValues(new Uint8Array(1))[0] & 15 >> c / 4).toString(16);
+      });
+    },
+
+    /**
+     * Get a product's personalization session
+     */
+    _getPersonalizationSession: function(productId) {
+      try {
+        const stored = this._storage.getItem(STORAGE_KEY);
+        if (!stored) return null;
+
+        const sessions = JSON.parse(stored);
+        const session = sessions[productId] || null;
+
+        if (session && this._isSessionExpired(session)) {
+          this._log('Discarding expired session for product:', productId);
+          this._clearCurrentSession(productId);
+          return null;
+        }
+
+        return session;
+      } catch (e) {
+        console.error('[TreatInk SDK] Error reading personalization data:', e);
+        return null;
+      }
+    },
+
+    /**
+     * Keep button state in sync with sessions changed in other tabs, via
+     * BroadcastChannel or, where unsupported, localStorage 'storage' events
+     */
+    _setupCrossTabSync: function() {
+      const self = this;
+
+      const onRemoteChange = function() {
+        self._log('Personalization state changed in another tab');
+        self._refreshButtonStates();
+      };
+
+      if (typeof BroadcastChannel === 'undefined') {
+        window.addEventListener('storage', function(event) {
+          if (event.key === STORAGE_KEY || event.key === null) {
+            onRemoteChange();
+          }
+        });
+        return;
+      }
+
+      const openChannel = function() {
+        self._syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        self._syncChannel.onmessage = function(event) {
+          if (event.data && event.data.type === 'sessions-changed') {
+            onRemoteChange();
+          }
+        };
+      };
+      openChannel();
+
+      // An open channel can keep the page out of the bfcache - close it while hidden
+      window.addEventListener('pagehide', function(event) {
+        if (event.persisted && self._syncChannel) {
+          self._syncChannel.close();
+          self._syncChannel = null;
+        }
+      });
+      window.addEventListener('pageshow', function(event) {
+        if (event.persisted && !self._syncChannel) {
+          openChannel();
+        }
+      });
+    },
+
+    /**
+     * Tell other tabs to re-read their sessions
+     */
+    _notifyOtherTabs: function() {
+      if (!this._syncChannel) return;
+
+      try {
+        this._syncChannel.postMessage({ type: 'sessions-changed' });
+      } catch (e) {
+        this._log('Cross-tab notify failed:', e);
+      }
+    },
+
+    /**
+     * Pick the storage adapter: a valid custom adapter as-is, otherwise the
+     * first usable built-in starting from the requested one
+     */
+    _resolveStorage: function(option) {
+      if (option && typeof option === 'object') {
+        if (typeof option.getItem === 'function' &&
+            typeof option.setItem === 'function' &&
+            typeof option.removeItem === 'function') {
+          this._log('Using custom storage adapter');
+          return option;
+        }
+        console.error('[TreatInk SDK] ERROR: storage adapter must implement getItem, setItem and removeItem');
+      }
+
+      const order = ['local', 'session', 'cookie', 'memory'];
+      const start = Math.max(0, order.indexOf(option));
+
+      for (let i = start; i < order.length; i++) {
+        if (isStorageUsable(STORAGE_ADAPTERS[order[i]])) {
+          if (i > start || (option && option !== order[i])) {
+            console.warn(`[TreatInk SDK] WARNING: falling back to ${order[i]} storage`);
+          }
+          this._log('Using storage:', order[i]);
+          return STORAGE_ADAPTERS[order[i]];
+        }
+      }
+
+      return STORAGE_ADAPTERS.memory;
+    },
+
+    /**
+     * Whether a session is older than config.sessionMaxAge. Sessions without
+     * timestamps predate expiry tracking and count as expired.
+     */
+    _isSessionExpired: function(session) {
+      const timestamp = Date.parse(session.updatedAt || session.createdAt);
+      return isNaN(timestamp) || Date.now() - timestamp > this.config.sessionMaxAge;
+    },
+
+    /**
+     * Drop every expired session from storage (runs on init)
+     */
+    _pruneExpiredSessions: function() {
+      try {
+        const stored = this._storage.getItem(STORAGE_KEY);
+        if (!stored) return;
+
+        const sessions = JSON.parse(stored);
+        const expired = Object.keys(sessions).filter(key => this._isSessionExpired(sessions[key]));
+        if (!expired.length) return;
+
+        expired.forEach(key => delete sessions[key]);
+        this._storage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+        this._log(`Pruned ${expired.length} expired session(s)`);
+      } catch (e) {
+        console.error('[TreatInk SDK] Error pruning personalization data:', e);
+      }
+    },
+
+    /**
+     * Ask TreatInk whether a stored customized session can still be used and
+     * clear it if not. Network failures keep the session. Until this settles
+     * _pendingValidations holds its promise and the add to cart interceptors wait on it.
+     */
+    _validateStoredSession: async function(session) {
+      if (!this.config.validateSessions) return true;
+
+      let settle;
+      this._pendingValidations[session.uuid] = new Promise(resolve => { settle = resolve; });
+
+      let valid = true;
+      try {
+        const result = await this._apiRequest('/functions/v1/validate-personalization-session', {
+          method: 'POST',
+          retries: 0,
+          body: {
+            sessionUuid: session.uuid,
+            productId: session.productId,
+            hostname: this.hostname
+          }
+        });
+        valid = !(result && result.valid === false);
+      } catch (error) {
+        // A bare 404 may just mean the endpoint isn't deployed; only the body can say the session is gone
+        if (error.status === 410 || (error.status === 404 && error.data && error.data.valid === false)) {
+          valid = false;
+        } else {
+          this._log('Session validation unavailable, keeping session:', error.message);
+        }
+      }
+
+      delete this._pendingValidations[session.uuid];
+
+      if (!valid) {
+        this._log('Stored session no longer valid:', session.uuid);
+
+        // Only clear if the shopper hasn't started a new session meanwhile
+        const current = this._getPersonalizationSession(session.productId);
+        if (current && current.uuid === session.uuid) {
+          this._clearCurrentSession(session.productId);
+          this._updateButtonState(false, session.productId);
+        }
+      }
+
+      settle(valid);
+      return valid;
+    },
+
+    /**
+     * Save personalization session to storage, keyed by its productId
+     * Returns false when the storage refused the write (e.g. cookie size limit)
+     */
+    _savePersonalizationSession: function(session) {
+      session.updatedAt = new Date().toISOString();
+
+      try {
+        const stored = this._storage.getItem(STORAGE_KEY);
+        const sessions = stored ? JSON.parse(stored) : {};
+        sessions[session.productId] = session;
+        this._storage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+        this._log('Session saved to storage');
+        this._notifyOtherTabs();
+        return true;
+      } catch (e) {
+        console.error('[TreatInk SDK] Error saving personalization data:', e);
+        return false;
+      }
+    },
+
+    /**
+     * Clear a product's personalization session
+     * Called after successfully adding to cart so user can start fresh
+     */
+    _clearCurrentSession: function(productId) {
+      try {
+        const stored = this._storage.getItem(STORAGE_KEY);
+        if (!stored) return;
+        
+        const sessions = JSON.parse(stored);
+        delete sessions[productId];
+        this._storage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+        this._log('Current product session cleared from storage');
+        this._notifyOtherTabs();
+      } catch (e) {
+        console.error('[TreatInk SDK] Error clearing session:', e);
+      }
+    },
+
+    /**
+     * Update personalization session
+     */
+    _updatePersonalizationSession: function(productId, data) {
+      const session = this._getPersonalizationSession(productId);
+      if (!session) return;
+
+      session.customized = true;
+      session.customizationData = data;
+
+      this._savePersonalizationSession(session);
+      this._log('Session updated with customization data');
+    },
+
+    /**
+     * Update button state for every mount of a product (they share a session)
+     */
+    _updateButtonState: function(personalized, productId) {
+      this.mounts.forEach(mount => {
+        const btn = mount.button;
+        if (!btn || mount.productId !== productId) return;
+
+        togglePart(btn, 'personalized', personalized);
+        if (personalized) {
+          btn.classList.add('personalized');
+        } else {
+          btn.classList.remove('personalized');
+          btn.textContent = this.config.customizeButtonText;
+        }
+      });
+
+      this._log(`Button state: ${personalized ? 'personalized' : 'not personalized'}`, productId);
+    },
+
+    /**
+     * Re-sync every mounted button with its stored session
+     */
+    _refreshButtonStates: function() {
+      this.mounts.forEach(mount => {
+        const session = this._getPersonalizationSession(mount.productId);
+        this._updateButtonState(!!(session && session.customized), mount.productId);
+      });
+    },
+
+    /**
+     * Intercept a mount's add to cart to include personalization UUID
+     */
+    _interceptAddToCart: function(mount) {
+      const self = this;
+      const addToCartButton = mount.root.querySelector(mount.addToCartSelector);
+      if (!addToCartButton) return;
+
+      const form = addToCartButton.closest('form');
+      if (!form) return;
+
+      mount.addToCartButton = addToCartButton;
+      mount.form = form;
+
+      // Method 1: Traditional form submit listener
+      const onSubmit = (e) => {
+        const session = this._getPersonalizationSession(mount.productId);
+        if (!session || !session.customized) {
+          this._log('No personalization to add to cart');
+          return;
+        }
+
+        // Hold a native submit until the stored session is validated, then submit
+        // again so it goes out with the UUID. Submits a theme already took over
+        // (AJAX add to cart) are left to the click listener.
+        const validation = this._pendingValidations[session.uuid];
+        if (validation) {
+          if (e.defaultPrevented) return;
+          e.preventDefault();
+          e.stopImmediatePropagation();
+          this._log('Waiting for session validation before submitting:', session.uuid);
+
+          const submitter = e.submitter || null;
+          validation.then(() => {
+            if (typeof form.requestSubmit === 'function') {
+              form.requestSubmit(submitter);
+              return;
+            }
+            const validated = this._getPersonalizationSession(mount.productId);
+            if (validated && validated.customized) this._addPersonalizationToCart(form, validated);
+            form.submit();
+          });
+          return;
+        }
+
+        this._addPersonalizationToCart(form, session);
+      };
+
+      // Method 2: Click listener for AJAX add-to-cart themes
+      const adapter = this._getPlatformAdapter();
+      const onClick = function() {
+        if (!adapter.updateCartAttributes) return;
+
+        const session = self._getPersonalizationSession(mount.productId);
+        if (!session || !session.customized) {
+          self._log('No personalization for AJAX cart');
+          return;
+        }
+
+        // Wait for AJAX (and any pending session validation), then update cart attributes
+        const validation = self._pendingValidations[session.uuid] || Promise.resolve(true);
+        setTimeout(function() {
+          validation
+            .then(valid => {
+              if (valid) return adapter.updateCartAttributes(session.uuid, self);
+            })
+            .catch(error => {
+              self._log('Error updating cart attributes:', error);
+            });
+        }, 1000);
+      };
+
+      form.addEventListener('submit', onSubmit);
+      addToCartButton.addEventListener('click', onClick);
+      mount.listeners.push([form, 'submit', onSubmit], [addToCartButton, 'click', onClick]);
+
+      this._log('Add to cart interceptor installed');
+    },
+
+    /**
+     * Get the registered adapter for a platform, falling back to the generic adapter
+     */
+    _getPlatformAdapter: function(platform) {
+      const name = (platform || this.config.platform).toLowerCase();
+      return platformAdapters[name] || platformAdapters.custom;
+    },
+
+    /**
+     * Find the product form that owns a mount's add-to-cart button
+     */
+    _getProductForm: function(mount) {
+      if (mount.form) return mount.form;
+
+      const adapter = this._getPlatformAdapter();
+      return adapter.productFormSelector ? mount.root.querySelector(adapter.productFormSelector) : null;
+    },
+
+    /**
+     * Resolve a mount's selected variant: variantSelector, fixed variantId, the
+     * variant field of the mount's own product form, the last theme variant
+     * change event, then the adapter's fallback (e.g. ?variant= or product JSON).
+     * Null when the form has no variant and the last variant change event
+     * announced an unavailable combination.
+     */
+    _getVariantId: function(mount, form, adapter) {
+      if (mount.variantSelector) {
+        const variantInput = mount.root.querySelector(mount.variantSelector);
+        if (variantInput && variantInput.value) return variantInput.value;
+      }
+      if (mount.variantId) return mount.variantId;
+
+      const fromForm = adapter.getVariantId(form, this);
+      if (fromForm) return String(fromForm);
+      // Never fall back to another variant when the shopper's combination doesn't exist
+      if (mount.variantUnavailable) return null;
+      if (mount.selectedVariantId) return mount.selectedVariantId;
+
+      const fallback = adapter.getFallbackVariantId(mount.root, this);
+      return fallback ? String(fallback) : null;
+    },
+
+    /**
+     * Remember the variant announced by theme variant change events inside the
+     * mount. The init product (root document) takes document-level events but
+     * not those from inside another mount, e.g. a quick-view or grid card.
+     */
+    _trackVariantChanges: function(mount) {
+      const onVariantChange = (e) => {
+        const target = e.target instanceof Node ? e.target : null;
+        const inMount = mount.root === document
+          ? !target || !this.mounts.some(other => other !== mount && other.root && other.root !== document && other.root.contains(target))
+          : !!target && mount.root.contains(target);
+        if (!inMount) return;
+
+        const detail = e.detail || {};
+        const variant = detail.variant || detail.resource;
+        const variantId = (variant && variant.id) || detail.variantId;
+        // An explicit null variant means the selected option combination doesn't exist
+        mount.selectedVariantId = variantId ? String(variantId) : null;
+        mount.variantUnavailable = detail.variant === null;
+        mount.selectedVariant = variant && typeof variant === 'object' ? variant : null;
+        this._log('Variant changed:', mount.productId, mount.selectedVariantId);
+      };
+
+      VARIANT_CHANGE_EVENTS.forEach(name => {
+        document.addEventListener(name, onVariantChange);
+        mount.listeners.push([document, name, onVariantChange]);
+      });
+    },
+
+    /**
+     * Auto-add product to cart with personalization, then run the configured
+     * afterAddToCart behavior. Called automatically after artwork is saved.
+     * Modal stays open showing the loading spinner until that behavior runs.
+     * `resume` ({ lineItem }) skips addToCart on a Retry after the item was already added.
+     */
+    _autoAddToCartAndRedirect: function(mount, sessionUuid, artworkUrl, resume) {
+      const self = this;
+      const adapter = this._getPlatformAdapter();
+
+      if (!adapter.addToCart) {
+        this._log('Auto-add not implemented for platform:', this.config.platform);
+        this._closeModal();
+        this._updateButtonState(true, mount.productId);
+        return;
+      }
+
+      const form = this._getProductForm(mount);
+      const item = {
+        productId: mount.productId,
+        variantId: this._getVariantId(mount, form, adapter),
+        quantity: adapter.getQuantity(form, this),
+        sessionUuid: sessionUuid,
+        artworkUrl: artworkUrl || '',
+        form: form
+      };
+
+      this._log('Auto-adding to cart:', item);
+
+      const eventDetail = {
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        sessionUuid: sessionUuid,
+        artworkUrl: item.artworkUrl
+      };
+      if (!resume) {
+        this._emit('cart-add-started', eventDetail);
+      }
+
+      let added = !!resume;
+      let lineItem = resume ? resume.lineItem : null;
+
+      Promise.resolve()
+        .then(() => {
+          if (added) return lineItem;
+          if (!item.variantId && mount.variantUnavailable) {
+            const error = new Error('Selected variant is unavailable');
+            error.code = 'variant_unavailable';
+            throw error;
+          }
+          return adapter.addToCart(item, self);
+        })
+        .then(result => {
+          if (!added) {
+            self._log('Item added to cart:', result);
+            added = true;
+            lineItem = result;
+          }
+          if (adapter.updateCartAttributes) {
+            return adapter.updateCartAttributes(sessionUuid, self);
+          }
+        })
+        .then(() => {
+          self._emit('cart-add-succeeded', Object.assign({ lineItem: lineItem }, eventDetail));
+
+          // Clear session so user can personalize again fresh on return
+          self._clearCurrentSession(mount.productId);
+          self._updateButtonState(false, mount.productId);
+
+          self._afterAddToCart(adapter, lineItem, eventDetail);
+        })
+        .catch(error => {
+          self._log('Error auto-adding to cart:', error);
+          self._emit('cart-add-failed', Object.assign({ error: error.message, added: added }, eventDetail));
+          // On failure: swap the spinner for an error panel with Retry, and show the
+          // button as personalized so the user can still manually add to cart.
+          // Once the item is in the cart, Retry only re-links the personalization.
+          // An unavailable variant has to be changed on the page, so it gets no Retry.
+          self._updateButtonState(true, mount.productId);
+          if (error.code === 'variant_unavailable') {
+            self._showModalError({
+              title: self._t('cartErrorTitle'),
+              message: self._t('variantUnavailableMessage')
+            });
+            return;
+          }
+          self._showModalError({
+            title: self._t(added ? 'cartUpdateErrorTitle' : 'cartErrorTitle'),
+            message: self._t(added ? 'cartUpdateErrorMessage' : 'cartErrorMessage'),
+            onRetry: () => {
+              self._showModalLoadingState();
+              self._autoAddToCartAndRedirect(mount, sessionUuid, artworkUrl, added ? { lineItem: lineItem } : null);
+            }
+          });
+        });
+    },
+
+    /**
+     * Run the afterAddToCart behavior once the item is in the cart
+     */
+    _afterAddToCart: function(adapter, lineItem, detail) {
+      const self = this;
+      const behavior = this.config.afterAddToCart;
+
+      if (typeof behavior === 'function') {
+        this._closeModal();
+        try {
+          behavior(lineItem, detail);
+        } catch (e) {
+          console.error('[TreatInk SDK] Error in afterAddToCart callback:', e);
+        }
+        return;
+      }
+
+      if (behavior === 'drawer') {
+        // Close first - the modal overlay sits above any theme drawer
+        this._closeModal();
+        Promise.resolve()
+          .then(() => adapter.openCartDrawer(lineItem, self))
+          .then(() => {
+            self._log('Cart drawer refreshed');
+          })
+          .catch(error => {
+            // The item is already in the cart, so send the shopper there instead
+            self._log('Error refreshing cart drawer, redirecting:', error);
+            self._redirectToCart(adapter, detail);
+          });
+        return;
+      }
+
+      if (behavior === 'none') {
+        this._showModalSuccessState();
+        setTimeout(() => self._closeModal(), SUCCESS_DISPLAY_MS);
+        return;
+      }
+
+      this._redirectToCart(adapter, detail);
+    },
+
+    /**
+     * Storefront URL for a cart route. Precedence: routes[name], a localized URL
+     * the platform already provides (detected), then path under the storefront
+     * root (routes.root, the adapter's getRoutesRoot(), or '/').
+     */
+    _getRoute: function(name, path, detected) {
+      if (this.config.routes[name]) return this.config.routes[name];
+      if (detected) return detected;
+      return this._getRoutesRoot() + path.replace(/^\//, '');
+    },
+
+    /**
+     * Storefront root with a trailing slash, e.g. '/' or '/fr-ca/'
+     */
+    _getRoutesRoot: function() {
+      const adapter = this._getPlatformAdapter();
+      const root = this.config.routes.root || adapter.getRoutesRoot(this) || '/';
+      return root.endsWith('/') ? root : `${root}/`;
+    },
+
+    /**
+     * Navigate to redirectUrl or the platform's cart page
+     */
+    _redirectToCart: function(adapter, detail) {
+      const url = this.config.redirectUrl || adapter.getCartUrl(this);
+      this._emit('redirect', { productId: detail.productId, url: url });
+
+      this._log('Redirecting to:', url);
+      window.location.href = url;
+    },
+
+    /**
+     * Add personalization data to cart
+     */
+    _addPersonalizationToCart: function(form, session) {
+      const personalizationData = {
+        uuid: session.uuid,
+        productId: session.productId,
+        hostname: this.hostname,
+        timestamp: new Date().toISOString()
+      };
+
+      this._getPlatformAdapter().injectFormData(form, personalizationData, this);
+
+      this._log('Personalization added to cart');
+    },
+
+    /**
+     * Register a platform adapter so `platform: name` can be passed to init.
+     * Registering an existing name (e.g. 'shopify') replaces that adapter.
+     * Must be called before init.
+     *
+     * Every member is optional; missing members fall back to the generic adapter:
+     *   addToCartSelector               - selector for the platform's add-to-cart button
+     *   productFormSelector             - fallback selector for the product form
+     *   getVariantId(form, sdk)         - variant ID selected in the product form, or null
+     *   getFallbackVariantId(root, sdk) - variant ID found outside the form (URL, product
+     *                                     JSON) within the mount root, or null
+     *   getVariantDetails(variantId, { form, root, variant }, sdk)
+     *                                   - { options, price, currency } for the customizer
+     *   getQuantity(form, sdk)          - quantity to add
+     *   injectFormData(form, data, sdk) - attach personalization to a native form submit
+     *   addToCart(item, sdk)            - Promise; AJAX add of { productId, variantId,
+     *                                     quantity, sessionUuid, artworkUrl, form }
+     *   updateCartAttributes(uuid, sdk) - Promise; record the UUID at cart level
+     *   openCartDrawer(lineItem, sdk)   - Promise; refresh/open the theme cart drawer
+     *   getCartUrl(sdk)                 - URL to redirect to after auto-add
+     *   getRoutesRoot(sdk)              - localized storefront root (e.g. '/fr-ca/'), or null
+     *
+     * Adapters should build storefront URLs with sdk._getRoute(name, path) so the
+     * routes option and localized roots apply.
+     */
+    registerPlatform: function(name, adapter) {
+      if (!name || !adapter) {
+        console.error('[TreatInk SDK] ERROR: registerPlatform requires a name and an adapter');
+        return false;
+      }
+
+      platformAdapters[name.toLowerCase()] = Object.assign({}, GENERIC_ADAPTER, adapter);
+      this._log('Platform adapter registered:', name);
+      return true;
+    },
+
+    /**
+     * Get all personalizations for checkout
+     */
+    getAllPersonalizations: function() {
+      try {
+        const stored = this._storage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : {};
+      } catch (e) {
+        console.error('[TreatInk SDK] Error reading personalizations:', e);
+        return {};
+      }
+    },
+
+    /**
+     * Clear personalization data (after order completion)
+     */
+    clearPersonalizations: function() {
+      try {
+        this._storage.removeItem(STORAGE_KEY);
+        this._log('Personalizations cleared from storage');
+        this._notifyOtherTabs();
+        this._refreshButtonStates();
+      } catch (e) {
+        console.error('[TreatInk SDK] Error clearing personalizations:', e);
+      }
+    },
+
+    /**
+     * Send order confirmation to TreatInk. If TreatInk cannot be reached the
+     * confirmation is queued for redelivery and { queued: true, orderId } is returned.
+     */
+    confirmOrder: async function(orderData) {
+      let personalizedItems = orderData.personalizations;
+      if (!personalizedItems) {
+        const personalizations = this.getAllPersonalizations();
+        personalizedItems = Object.values(personalizations)
+          .filter(p => p.customized)
+          .map(p => ({
+            uuid: p.uuid,
+            productId: p.productId
+          }));
+      }
+
+      if (personalizedItems.length === 0) {
+        this._log('No personalizations to confirm');
+        return null;
+      }
+
+      const path = '/functions/v1/external-order';
+      // Keyed by order so a reloaded thank-you page cannot confirm twice
+      const idempotencyKey = `external-order-${orderData.orderId}`;
+      const body = {
+        platform: this.config.platform,
+        externalOrderId: orderData.orderId,
+        customerEmail: orderData.customerEmail,
+        personalizations: personalizedItems,
+        orderData: orderData
+      };
+
+      try {
+        this._log(`Confirming order: ${orderData.orderId}`);
+
+        const result = await this._apiRequest(path, {
+          method: 'POST',
+          idempotencyKey: idempotencyKey,
+          body: body
+        });
+
+        this._log('Order confirmed:', result);
+        this._dequeueRequest(idempotencyKey);
+        this._emit('order-confirmed', { orderId: orderData.orderId, result: result });
+        
+        this.clearPersonalizations();
+        
+        return result;
+      } catch (error) {
+        console.error('[TreatInk SDK] Error confirming order:', error);
+
+        // Transient failures are queued with the UUIDs so the order link is never lost
+        if (error.retryable && this._enqueueRequest(path, body, idempotencyKey)) {
+          this.clearPersonalizations();
+          return { queued: true, orderId: orderData.orderId };
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Call on() handlers for an event and dispatch `treatink:<event>` on document.
+     * A throwing handler is logged and never interrupts the SDK flow.
+     */
+    _emit: function(event, detail) {
+      this._log(`Event: ${event}`, detail);
+
+      (this._eventHandlers[event] || []).slice().forEach(handler => {
+        try {
+          handler(detail);
+        } catch (e) {
+          console.error(`[TreatInk SDK] Error in "${event}" handler:`, e);
+        }
+      });
+
+      try {
+        document.dispatchEvent(new CustomEvent(`treatink:${event}`, { detail: detail }));
+      } catch (e) {
+        this._log('CustomEvent dispatch failed:', e);
+      }
+    },
+
+    /**
+     * Internal logging (respects debug flag)
+     */
+    _log: function(message, data) {
+      if (!this.config || !this.config.debug) return;
+      
+      const timestamp = new Date().toLocaleTimeString();
+      const prefix = `[TreatInk SDK ${timestamp}]`;
+      
+      if (data !== undefined) {
+        console.log(prefix, message, data);
+      } else {
+        console.log(prefix, message);
+      }
+    }
+  };
+
+  /**
+   * Generic adapter - used for 'custom' and unknown platforms, and as the
+   * base every registered adapter is merged over
+   */
+  const GENERIC_ADAPTER = {
+    addToCartSelector: '[data-add-to-cart], .add-to-cart',
+    productFormSelector: null,
+
+    getVariantId: function() {
+      return null;
+    },
+
+    getFallbackVariantId: function() {
+      return null;
+    },
+
+    getVariantDetails: function() {
+      return null;
+    },
+
+    getQuantity: function(form) {
+      const qtyInput = (form && Array.from(form.elements).find(field => field.name === 'quantity')) ||
+                       document.querySelector('input[name="quantity"]');
+      return qtyInput ? parseInt(qtyInput.value, 10) || 1 : 1;
+    },
+
+    injectFormData: function(form, data, sdk) {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = 'treatink_personalization';
+      input.value = JSON.stringify(data);
+      form.appendChild(input);
+
+      sdk._log('Added to generic cart data');
+    },
+
+    openCartDrawer: function(lineItem) {
+      dispatchCartRefreshEvents(lineItem);
+      return Promise.resolve();
+    },
+
+    getCartUrl: function(sdk) {
+      return sdk._getRoute('cart', 'cart');
+    },
+
+    getRoutesRoot: function() {
+      return null;
+    }
+  };
+
+  /**
+   * Product object from the JSON themes embed in the page ({{ product | json }})
+   */
+  function readShopifyProductJson(root) {
+    const script = root && root.querySelector('script[data-product-json], script[id^="ProductJson"]');
+    if (!script) return null;
+
+    try {
+      const data = JSON.parse(script.textContent);
+      return data.product || data;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Fire the drawer/refresh events themes commonly listen for
+   */
+  function dispatchCartRefreshEvents(lineItem) {
+    CART_REFRESH_EVENTS.forEach(function(name) {
+      document.dispatchEvent(new CustomEvent(name, {
+        bubbles: true,
+        detail: { product: lineItem, lineItem: lineItem }
+      }));
+    });
+  }
+
+  TreatInk.registerPlatform('custom', GENERIC_ADAPTER);
+
+  /**
+   * Shopify - AJAX Cart API with line item properties and a cart attribute
+   */
+  TreatInk.registerPlatform('shopify', {
+    addToCartSelector: '[name="add"], .product-form__submit, button[type="submit"][name="add"]',
+    productFormSelector: 'form[action*="/cart/add"]',
+
+    /**
+     * The id field of this product's form only (form.elements includes fields
+     * attached with a form="" attribute)
+     */
+    getVariantId: function(form) {
+      if (!form) return null;
+      const variantInput = Array.from(form.elements).find(field => field.name === 'id' && !field.disabled);
+      return variantInput ? variantInput.value || null : null;
+    },
+
+    /**
+     * ?variant= in the URL (product page only), then the product JSON themes embed
+     */
+    getFallbackVariantId: function(root) {
+      if (root === document) {
+        const fromUrl = new URLSearchParams(window.location.search).get('variant');
+        if (fromUrl) return fromUrl;
+      }
+
+      const product = readShopifyProductJson(root);
+      if (!product) return null;
+
+      const variants = product.variants || [];
+      const variant = product.selected_or_first_available_variant ||
+                      variants.find(v => v.available) ||
+                      variants[0];
+      return variant ? variant.id : null;
+    },
+
+    /**
+     * Option values and price from the variant change event or product JSON,
+     * options[Name] form fields, and the storefront's active currency
+     */
+    getVariantDetails: function(variantId, context) {
+      const product = readShopifyProductJson(context.root);
+      let variant = context.variant && String(context.variant.id) === String(variantId) ? context.variant : null;
+      if (!variant && product && variantId) {
+        variant = (product.variants || []).find(v => String(v.id) === String(variantId)) || null;
+      }
+
+      const options = {};
+      if (variant) {
+        const names = (product && product.options) || [];
+        const values = variant.options || [variant.option1, variant.option2, variant.option3];
+        values.forEach((value, i) => {
+          if (value == null) return;
+          const name = names[i] && (names[i].name || names[i]);
+          options[typeof name === 'string' ? name : `option${i + 1}`] = value;
+        });
+      }
+      if (context.form) {
+        Array.from(context.form.elements).forEach(field => {
+          const match = /^options\[(.+)\]$/.exec(field.name || '');
+          if (!match || ((field.type === 'radio' || field.type === 'checkbox') && !field.checked)) return;
+          options[match[1]] = field.value;
+        });
+      }
+
+      const currency = window.Shopify && window.Shopify.currency && window.Shopify.currency.active;
+      return {
+        options: options,
+        // Shopify prices are integers in cents
+        price: variant && variant.price != null ? (variant.price / 100).toFixed(2) : null,
+        currency: currency || null
+      };
+    },
+
+    addToCart: function(item, sdk) {
+      if (!item.variantId) {
+        return Promise.reject(new Error('Could not find variant ID'));
+      }
+
+      const cartItem = {
+        id: item.variantId,
+        quantity: item.quantity,
+        properties: {
+          '_treatink_uuid': item.sessionUuid,
+          '_treatink_artwork': item.artworkUrl
+        }
+      };
+
+      return fetch(sdk._getRoute('cartAdd', 'cart/add.js'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(cartItem)
+      })
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to add to cart');
+        return response.json();
+      });
+    },
+
+    updateCartAttributes: function(uuid, sdk) {
+      return fetch(sdk._getRoute('cartJs', 'cart.js'))
+        .then(response => response.json())
+        .then(cart => {
+          const existingAttr = cart.attributes && cart.attributes.treatink_personalizations;
+
+          // Already recorded, e.g. a Retry after the update response was lost
+          if (existingAttr && existingAttr.split(',').indexOf(uuid) !== -1) {
+            sdk._log('Cart attribute already has UUID:', uuid);
+            return cart;
+          }
+
+          const newValue = existingAttr ? `${existingAttr},${uuid}` : uuid;
+
+          return fetch(sdk._getRoute('cartUpdate', 'cart/update.js'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              attributes: { treatink_personalizations: newValue }
+            })
+          })
+          .then(response => response.json())
+          .then(updated => {
+            sdk._log('Cart attributes updated:', updated.attributes);
+            return updated;
+          });
+        });
+    },
+
+    /**
+     * Re-render the cart drawer via the Section Rendering API. Dawn-style
+     * <cart-drawer>/<cart-notification> elements render and open themselves;
+     * other themes get their sections swapped and the common refresh events.
+     */
+    openCartDrawer: function(lineItem, sdk) {
+      const cartDrawer = document.querySelector('cart-drawer, cart-notification');
+      const sectionIds = cartDrawer && typeof cartDrawer.getSectionsToRender === 'function'
+        ? cartDrawer.getSectionsToRender().map(section => section.id)
+        : ['cart-drawer', 'cart-icon-bubble'];
+
+      return fetch(`${sdk._getRoute('sections', '')}?sections=${encodeURIComponent(sectionIds.join(','))}`)
+        .then(response => {
+          if (!response.ok) throw new Error('Failed to load cart sections');
+          return response.json();
+        })
+        .then(sections => {
+          if (cartDrawer && typeof cartDrawer.renderContents === 'function') {
+            cartDrawer.renderContents(Object.assign({}, lineItem, { sections: sections }));
+          } else {
+            Object.keys(sections).forEach(function(id) {
+              const container = document.getElementById(`shopify-section-${id}`);
+              if (!container || !sections[id]) return;
+
+              const parsed = new DOMParser().parseFromString(sections[id], 'text/html');
+              const fresh = parsed.getElementById(`shopify-section-${id}`) || parsed.body;
+              container.replaceChildren.apply(container, Array.from(fresh.childNodes));
+            });
+          }
+
+          dispatchCartRefreshEvents(lineItem);
+          sdk._log('Shopify cart sections refreshed:', sectionIds);
+        });
+    },
+
+    injectFormData: function(form, data, sdk) {
+      let attrInput = form.querySelector('input[name="attributes[treatink_personalizations]"]');
+
+      if (attrInput) {
+        const existing = attrInput.value;
+        attrInput.value = existing ? `${existing},${data.uuid}` : data.uuid;
+      } else {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = 'attributes[treatink_personalizations]';
+        input.value = data.uuid;
+        form.appendChild(input);
+      }
+
+      sdk._log('Added to Shopify cart attribute:', data.uuid);
+    },
+
+    /**
+     * Markets/language subfolder, e.g. '/fr-ca/'
+     */
+    getRoutesRoot: function() {
+      return (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || null;
+    }
+  });
+
+  /**
+   * WooCommerce - wc-ajax add_to_cart. The TreatInk UUID and artwork URL are
+   * posted alongside the product so the TreatInk plugin can store them as
+   * cart item data.
+   */
+  TreatInk.registerPlatform('woocommerce', {
+    addToCartSelector: '.single_add_to_cart_button',
+    productFormSelector: 'form.cart',
+
+    getVariantId: function(form) {
+      const variationInput = form && form.querySelector('input[name="variation_id"]');
+      if (!variationInput || variationInput.value === '0') return null;
+      return variationInput.value || null;
+    },
+
+    /**
+     * Attributes and display price of the chosen variation from the form's
+     * data-product_variations, falling back to the attribute_* fields
+     */
+    getVariantDetails: function(variantId, context) {
+      const form = context.form;
+      const options = {};
+      let price = null;
+
+      if (form) {
+        form.querySelectorAll('[name^="attribute_"]').forEach(function(field) {
+          if (field.value) options[field.name.slice('attribute_'.length)] = field.value;
+        });
+
+        try {
+          const variations = JSON.parse(form.getAttribute('data-product_variations') || '[]') || [];
+          const variation = variations.find(v => String(v.variation_id) === String(variantId));
+          if (variation) {
+            Object.keys(variation.attributes || {}).forEach(function(name) {
+              if (variation.attributes[name]) options[name.replace(/^attribute_/, '')] = variation.attributes[name];
+            });
+            price = variation.display_price != null ? String(variation.display_price) : null;
+          }
+        } catch (e) {
+          // data-product_variations is "false" when WooCommerce loads variations over AJAX
+        }
+      }
+
+      return { options: options, price: price, currency: null };
+    },
+
+    addToCart: function(item, sdk) {
+      const form = item.form;
+
+      // Variable products carry a variation_id that stays empty until the
+      // shopper picks every attribute
+      if (form && form.querySelector('input[name="variation_id"]') && !item.variantId) {
+        return Promise.reject(new Error('No WooCommerce variation selected'));
+      }
+
+      // Simple products post the product ID as the button value or an
+      // "add-to-cart" input
+      const productInput = form && form.querySelector('[name="add-to-cart"]');
+      const productId = (productInput && productInput.value) || item.productId;
+
+      // wc-ajax add_to_cart resolves a variation posted as product_id to its
+      // parent and attributes, so a formless grid-card mount with a fixed
+      // variantId needs no attribute_* fields
+      const body = new URLSearchParams();
+      body.append('product_id', item.variantId || productId);
+      body.append('quantity', item.quantity);
+      if (item.variantId) {
+        body.append('variation_id', item.variantId);
+        if (form) {
+          form.querySelectorAll('[name^="attribute_"]').forEach(function(field) {
+            body.append(field.name, field.value);
+          });
+        }
+      }
+      body.append('treatink_uuid', item.sessionUuid);
+      body.append('treatink_artwork', item.artworkUrl);
+
+      const params = window.wc_add_to_cart_params;
+      const endpoint = sdk._getRoute('cartAdd', '?wc-ajax=add_to_cart',
+        params && params.wc_ajax_url && params.wc_ajax_url.replace('%%endpoint%%', 'add_to_cart'));
+
+      return fetch(endpoint, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: body.toString()
+      })
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to add to cart');
+        return response.json();
+      })
+      .then(result => {
+        // WooCommerce responds 200 with { error: true } when validation fails
+        if (!result || result.error) throw new Error('WooCommerce rejected add to cart');
+        return result;
+      });
+    },
+
+    /**
+     * Trigger WooCommerce's own added_to_cart flow so mini-cart fragments
+     * and side-cart plugins update
+     */
+    openCartDrawer: function(result) {
+      const fragments = (result && result.fragments) || {};
+
+      if (window.jQuery) {
+        window.jQuery(document.body).trigger('added_to_cart', [fragments, result && result.cart_hash, null]);
+      } else {
+        Object.keys(fragments).forEach(function(selector) {
+          const parsed = new DOMParser().parseFromString(fragments[selector], 'text/html');
+          document.querySelectorAll(selector).forEach(function(el) {
+            el.replaceWith.apply(el, Array.from(parsed.body.childNodes, node => document.importNode(node, true)));
+          });
+        });
+      }
+
+      dispatchCartRefreshEvents(result);
+      return Promise.resolve();
+    },
+
+    injectFormData: function(form, data, sdk) {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = 'treatink_uuid';
+      input.value = data.uuid;
+      form.appendChild(input);
+
+      sdk._log('Added to WooCommerce cart attributes');
+    },
+
+    getCartUrl: function(sdk) {
+      const params = window.wc_add_to_cart_params;
+      return sdk._getRoute('cart', 'cart/', params && params.cart_url);
+    }
+  });
+
+  /**
+   * BigCommerce - Storefront Cart API. The UUID and artwork URL are sent as
+   * values of the text modifier options configured in
+   * bigcommerceUuidOptionId / bigcommerceArtworkOptionId.
+   */
+  TreatInk.registerPlatform('bigcommerce', {
+    addToCartSelector: '.add-to-cart-button, #form-action-addToCart',
+    productFormSelector: 'form[data-cart-item-add]',
+
+    getQuantity: function(form) {
+      const qtyInput = form && form.querySelector('input[name="qty[]"]');
+      return qtyInput ? parseInt(qtyInput.value, 10) || 1 : 1;
+    },
+
+    /**
+     * Price and currency from the theme's BCData (Stencil product pages)
+     */
+    getVariantDetails: function() {
+      const attributes = window.BCData && window.BCData.product_attributes;
+      const price = attributes && attributes.price && (attributes.price.without_tax || attributes.price.with_tax);
+      return {
+        options: {},
+        price: price && price.value != null ? String(price.value) : null,
+        currency: (price && price.currency) || null
+      };
+    },
+
+    addToCart: function(item, sdk) {
+      const productInput = item.form && item.form.querySelector('input[name="product_id"]');
+      const productId = parseInt((productInput && productInput.value) || item.productId, 10);
+
+      if (!productId) {
+        return Promise.reject(new Error('No BigCommerce product ID found'));
+      }
+
+      const lineItem = {
+        productId: productId,
+        quantity: item.quantity,
+        optionSelections: this.getOptionSelections(item.form, item, sdk)
+      };
+
+      const cartApi = sdk._getRoute('cartApi', 'api/storefront/carts');
+
+      return fetch(cartApi, { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) throw new Error('Failed to load cart');
+          return response.json();
+        })
+        .then(carts => {
+          // An existing cart gets a new line item; otherwise create the cart
+          const cart = carts && carts[0];
+          const endpoint = cart
+            ? `${cartApi}/${cart.id}/items`
+            : cartApi;
+
+          return fetch(endpoint, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ lineItems: [lineItem] })
+          });
+        })
+        .then(response => {
+          if (!response.ok) throw new Error('Failed to add to cart');
+          return response.json();
+        });
+    },
+
+    /**
+     * Build optionSelections from the product form's attribute[N] fields,
+     * plus the TreatInk modifier values
+     */
+    getOptionSelections: function(form, item, sdk) {
+      const selections = [];
+
+      if (form) {
+        Array.from(form.elements).forEach(function(field) {
+          if (!field.name || field.name.indexOf('attribute[') !== 0) return;
+          if ((field.type === 'radio' || field.type === 'checkbox') && !field.checked) return;
+          if (field.value === '') return;
+
+          const optionId = parseInt(field.name.slice('attribute['.length), 10);
+          const optionValue = /^\d+$/.test(field.value) ? parseInt(field.value, 10) : field.value;
+          selections.push({ optionId: optionId, optionValue: optionValue });
+        });
+      }
+
+      const uuidOptionId = sdk.config.bigcommerceUuidOptionId;
+      const artworkOptionId = sdk.config.bigcommerceArtworkOptionId;
+
+      if (!uuidOptionId) {
+        console.warn('[TreatInk SDK] WARNING: bigcommerceUuidOptionId not provided. Personalization will not be attached to the cart item.');
+      }
+
+      [[uuidOptionId, item.sessionUuid], [artworkOptionId, item.artworkUrl]].forEach(function(pair) {
+        if (!pair[0]) return;
+        const optionId = parseInt(pair[0], 10);
+        const existing = selections.find(s => s.optionId === optionId);
+        if (existing) {
+          existing.optionValue = pair[1];
+        } else {
+          selections.push({ optionId: optionId, optionValue: pair[1] });
+        }
+      });
+
+      return selections;
+    },
+
+    injectFormData: function(form, data, sdk) {
+      const optionId = sdk.config.bigcommerceUuidOptionId;
+      if (!optionId) {
+        sdk._log('bigcommerceUuidOptionId not configured, using generic cart data');
+        GENERIC_ADAPTER.injectFormData(form, data, sdk);
+        return;
+      }
+
+      const name = `attribute[${optionId}]`;
+      let input = Array.from(form.elements).find(field => field.name === name);
+      if (!input) {
+        input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        form.appendChild(input);
+      }
+      input.value = data.uuid;
+
+      sdk._log('Added to BigCommerce cart option:', data.uuid);
+    },
+
+    getCartUrl: function(sdk) {
+      return sdk._getRoute('cart', 'cart.php');
+    }
+  });
+
+  /**
+   * Storage adapters - Web Storage-style getItem/setItem/removeItem with string values
+   */
+  function createWebStorageAdapter(name) {
+    // Accessing window.localStorage itself throws in some sandboxed/partitioned contexts
+    const store = function() {
+      return window[name];
+    };
+
+    return {
+      getItem: function(key) {
+        return store().getItem(key);
+      },
+      setItem: function(key, value) {
+        store().setItem(key, value);
+      },
+      removeItem: function(key) {
+        store().removeItem(key);
+      }
+    };
+  }
+
+  function createCookieAdapter() {
+    const maxAge = 30 * 24 * 60 * 60;
+
+    return {
+      getItem: function(key) {
+        const prefix = `${encodeURIComponent(key)}=`;
+        const match = document.cookie.split('; ').find(part => part.indexOf(prefix) === 0);
+        return match ? decodeURIComponent(match.slice(prefix.length)) : null;
+      },
+      // Throws instead of losing the write so callers can report the failure
+      setItem: function(key, value) {
+        const pair = `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+        if (pair.length > COOKIE_MAX_BYTES) {
+          throw new Error(`Value for "${key}" exceeds the ${COOKIE_MAX_BYTES} byte cookie limit`);
+        }
+
+        const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+        document.cookie = `${pair}; path=/; max-age=${maxAge}; SameSite=Lax${secure}`;
+
+        if (this.getItem(key) !== String(value)) {
+          throw new Error(`Cookie "${key}" was not stored`);
+        }
+      },
+      removeItem: function(key) {
+        document.cookie = `${encodeURIComponent(key)}=; path=/; max-age=0`;
+      }
+    };
+  }
+
+  function createMemoryAdapter() {
+    const items = {};
+
+    return {
+      getItem: function(key) {
+        return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+      },
+      setItem: function(key, value) {
+        items[key] = String(value);
+      },
+      removeItem: function(key) {
+        delete items[key];
+      }
+    };
+  }
+
+  const STORAGE_ADAPTERS = {
+    local: createWebStorageAdapter('localStorage'),
+    session: createWebStorageAdapter('sessionStorage'),
+    cookie: createCookieAdapter(),
+    memory: createMemoryAdapter()
+  };
+
+  /**
+   * Round-trip a probe value to check an adapter actually persists
+   */
+  function isStorageUsable(adapter) {
+    const probe = '__treatink_storage_test__';
+    try {
+      adapter.setItem(probe, probe);
+      const ok = adapter.getItem(probe) === probe;
+      adapter.removeItem(probe);
+      return ok;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Expose the API error type for instanceof checks
+  TreatInk.ApiError = TreatInkApiError;
+  TreatInk.version = SDK_VERSION;
+
+  // Expose TreatInk to global scope
+  window.TreatInk = TreatInk;
+
+})(window, document);